@@ -19,6 +19,9 @@ app.use(cors({
     credentials:true
 }))
 //accept json
+//offline e-KYC XML carries a base64 photo and signature: sized to the schema maxima
+//(ekyc_xml 200000 chars, JSON-escaped); the general parser below then leaves it alone
+app.use("/api/v1/verify/aadhaar-offline", express.json({limit: "256kb"}))
 app.use(express.json({limit: "16kb"}))
 //accept url encoded
 app.use(express.urlencoded({extented:true,limit:"16kb"}))
@@ -36,9 +39,15 @@ app.use(rateLimit({
 
 //routes import
 import verifyroutes from './routes/verify.routes.js'
+import verificationroutes from './routes/verification.routes.js'
+import reviewroutes from './routes/review.routes.js'
+import productroutes from './routes/product.routes.js'
 
 //routes decalaration
 app.use("/api/v1/",verifyroutes)
+app.use("/api/v1/",verificationroutes)
+app.use("/api/v1/",reviewroutes)
+app.use("/api/v1/",productroutes)
 
 
 
@@ -0,0 +1,127 @@
+// src/controllers/productController.js
+import {
+  addBatch, getProduct, listProducts, registerProduct, setBatchActive, updateProduct
+} from '../services/productRegistryService.js';
+import { createRevocation, liftRevocation, listRevocations } from '../services/revocationService.js';
+
+const ERROR_STATUS = {
+  product_not_found: 404,
+  batch_not_found: 404,
+  revocation_not_found: 404,
+  product_exists: 409,
+  batch_exists: 409
+};
+
+function sendProductError(res, err, label) {
+  const httpStatus = ERROR_STATUS[err.code];
+  if (httpStatus) return res.status(httpStatus).json({ error: err.code, message: err.message });
+  console.error(`${label} error`, err);
+  return res.status(500).json({ error: 'internal_server_error' });
+}
+
+/**
+ * POST /api/v1/products
+ * Response carries the signing secret once; it cannot be read back later.
+ */
+export async function createProductHandler(req, res) {
+  try {
+    const { product, secret } = await registerProduct({ ...req.body, created_by: req.client?.client_id });
+    return res.status(201).json({ ...product, secret });
+  } catch (err) {
+    return sendProductError(res, err, 'createProductHandler');
+  }
+}
+
+/**
+ * GET /api/v1/products?active=
+ */
+export async function listProductsHandler(req, res) {
+  try {
+    const items = await listProducts(req.query);
+    return res.status(200).json({ items, count: items.length });
+  } catch (err) {
+    return sendProductError(res, err, 'listProductsHandler');
+  }
+}
+
+/**
+ * GET /api/v1/products/:product_id
+ */
+export async function getProductHandler(req, res) {
+  try {
+    return res.status(200).json(await getProduct(req.params.product_id));
+  } catch (err) {
+    return sendProductError(res, err, 'getProductHandler');
+  }
+}
+
+/**
+ * PATCH /api/v1/products/:product_id
+ */
+export async function updateProductHandler(req, res) {
+  try {
+    const { product, secret } = await updateProduct(req.params.product_id, req.body);
+    return res.status(200).json(secret ? { ...product, secret } : product);
+  } catch (err) {
+    return sendProductError(res, err, 'updateProductHandler');
+  }
+}
+
+/**
+ * POST /api/v1/products/:product_id/batches
+ */
+export async function createBatchHandler(req, res) {
+  try {
+    return res.status(201).json(await addBatch(req.params.product_id, req.body));
+  } catch (err) {
+    return sendProductError(res, err, 'createBatchHandler');
+  }
+}
+
+/**
+ * PATCH /api/v1/products/:product_id/batches/:batch_id
+ */
+export async function updateBatchHandler(req, res) {
+  try {
+    return res.status(200).json(await setBatchActive(req.params.product_id, req.params.batch_id, req.body.active));
+  } catch (err) {
+    return sendProductError(res, err, 'updateBatchHandler');
+  }
+}
+
+/**
+ * POST /api/v1/products/:product_id/revocations
+ * body: { batch, nonce, kind: RECALL|REVOCATION, reason, notice, effective_at }
+ */
+export async function createRevocationHandler(req, res) {
+  try {
+    const revocation = await createRevocation(req.params.product_id, { ...req.body, created_by: req.client?.client_id });
+    return res.status(201).json(revocation);
+  } catch (err) {
+    return sendProductError(res, err, 'createRevocationHandler');
+  }
+}
+
+/**
+ * GET /api/v1/products/:product_id/revocations?include_lifted=
+ */
+export async function listRevocationsHandler(req, res) {
+  try {
+    const items = await listRevocations(req.params.product_id, req.query);
+    return res.status(200).json({ items, count: items.length });
+  } catch (err) {
+    return sendProductError(res, err, 'listRevocationsHandler');
+  }
+}
+
+/**
+ * POST /api/v1/products/:product_id/revocations/:revocation_id/lift
+ */
+export async function liftRevocationHandler(req, res) {
+  try {
+    const { product_id, revocation_id } = req.params;
+    return res.status(200).json(await liftRevocation(product_id, revocation_id, req.client?.client_id));
+  } catch (err) {
+    return sendProductError(res, err, 'liftRevocationHandler');
+  }
+}
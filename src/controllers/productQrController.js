@@ -0,0 +1,112 @@
+// src/controllers/productQrController.js
+import { ZipArchive } from 'archiver';
+import { issueProductQrs, QR_CONTENT_TYPES, renderQr } from '../services/qrIssuanceService.js';
+import { listVerificationKeys } from '../services/signingKeyService.js';
+
+const ERROR_STATUS = {
+  unknown_product: 404,
+  unknown_batch: 404,
+  product_inactive: 409,
+  batch_inactive: 409,
+  manufacturer_mismatch: 403
+};
+
+function sendQrError(res, err, label) {
+  const httpStatus = ERROR_STATUS[err.code];
+  if (httpStatus) return res.status(httpStatus).json({ error: err.code, message: err.message });
+  console.error(`${label} error`, err);
+  if (res.headersSent) return res.destroy(err);
+  return res.status(500).json({ error: 'internal_server_error' });
+}
+
+const CSV_HEADER = 'serial,product_id,batch,issued_at,exp,nonce,kid,payload';
+
+function csvRow(serial, { payload, fields }) {
+  return [serial, fields.productId, fields.batch, fields.issuedAt, fields.exp, fields.nonce, fields.kid || '', payload].join(',');
+}
+
+/**
+ * POST /api/v1/products/:product_id/qr
+ * body: { batch, exp, format: png|svg, size }
+ * Returns the signed base64 payload and the rendered QR (PNG as base64, SVG as markup).
+ */
+export async function issueQrHandler(req, res) {
+  try {
+    const { batch, exp, format, size } = req.body;
+    const { codes: [code] } = await issueProductQrs(req.params.product_id, {
+      manufacturer: req.client.manufacturer, batch, exp
+    });
+    const image = await renderQr(code.payload, format, { size });
+
+    return res.status(201).json({
+      product_id: code.fields.productId,
+      batch: code.fields.batch,
+      issued_at: code.fields.issuedAt,
+      exp: code.fields.exp || null,
+      nonce: code.fields.nonce,
+      kid: code.fields.kid || null,
+      payload: code.payload,
+      qr: {
+        format,
+        content_type: QR_CONTENT_TYPES[format],
+        data: format === 'svg' ? image : image.toString('base64')
+      }
+    });
+  } catch (err) {
+    return sendQrError(res, err, 'issueQrHandler');
+  }
+}
+
+/**
+ * POST /api/v1/products/:product_id/batches/:batch_id/qr
+ * body: { count, exp, format: zip|csv, image_format: png|svg, size }
+ * csv: one signed payload per row (for print vendors that render their own codes).
+ * zip: one image per code plus the same rows as manifest.csv.
+ */
+export async function issueBatchQrHandler(req, res) {
+  try {
+    const { product_id, batch_id } = req.params;
+    const { count, exp, format, image_format, size } = req.body;
+    const { codes } = await issueProductQrs(product_id, {
+      manufacturer: req.client.manufacturer, batch: batch_id, exp, count
+    });
+    const width = String(codes.length).length;
+    const rows = codes.map((c, i) => csvRow(String(i + 1).padStart(width, '0'), c));
+    const baseName = `${product_id}_${batch_id}`;
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+      return res.status(201).send(`${[CSV_HEADER, ...rows].join('\n')}\n`);
+    }
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+    res.status(201);
+    const archive = new ZipArchive({ zlib: { level: 6 } });
+    archive.on('error', err => res.destroy(err));
+    archive.pipe(res);
+    archive.append(`${[CSV_HEADER, ...rows].join('\n')}\n`, { name: 'manifest.csv' });
+    for (let i = 0; i < codes.length; i++) {
+      const image = await renderQr(codes[i].payload, image_format, { size });
+      archive.append(image, { name: `${String(i + 1).padStart(width, '0')}.${image_format}` });
+    }
+    await archive.finalize();
+  } catch (err) {
+    return sendQrError(res, err, 'issueBatchQrHandler');
+  }
+}
+
+/**
+ * GET /api/v1/qr-keys
+ * Public keys for offline verification of keyed product codes (no secrets, no auth).
+ */
+export async function listQrKeysHandler(req, res) {
+  try {
+    const keys = await listVerificationKeys();
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.status(200).json({ keys });
+  } catch (err) {
+    return sendQrError(res, err, 'listQrKeysHandler');
+  }
+}
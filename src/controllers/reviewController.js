@@ -0,0 +1,68 @@
+// src/controllers/reviewController.js
+import { claimReview, decideReview, listPendingReviews, releaseReview } from '../services/reviewService.js';
+
+const ERROR_STATUS = {
+  invalid_cursor: 400,
+  not_found: 404,
+  not_pending: 409,
+  claimed_by_other: 409,
+  not_claimed: 409
+};
+
+function sendReviewError(res, err, label) {
+  const httpStatus = ERROR_STATUS[err.code];
+  if (httpStatus) return res.status(httpStatus).json({ error: err.code, message: err.message });
+  console.error(`${label} error`, err);
+  return res.status(500).json({ error: 'internal_server_error' });
+}
+
+/**
+ * GET /api/v1/reviews?doc_type=&unclaimed_only=&cursor=&limit=
+ */
+export async function listReviewQueueHandler(req, res) {
+  try {
+    const { items, next_cursor } = await listPendingReviews(req.query);
+    return res.status(200).json({ items, count: items.length, next_cursor });
+  } catch (err) {
+    return sendReviewError(res, err, 'listReviewQueueHandler');
+  }
+}
+
+/**
+ * POST /api/v1/reviews/:verification_id/claim
+ * The reviewer is always the authenticated client (see apiKeyAuth), never a body field.
+ */
+export async function claimReviewHandler(req, res) {
+  try {
+    const item = await claimReview(req.params.verification_id, req.client.client_id);
+    return res.status(200).json(item);
+  } catch (err) {
+    return sendReviewError(res, err, 'claimReviewHandler');
+  }
+}
+
+/**
+ * POST /api/v1/reviews/:verification_id/release
+ */
+export async function releaseReviewHandler(req, res) {
+  try {
+    const item = await releaseReview(req.params.verification_id, req.client.client_id);
+    return res.status(200).json(item);
+  } catch (err) {
+    return sendReviewError(res, err, 'releaseReviewHandler');
+  }
+}
+
+/**
+ * POST /api/v1/reviews/:verification_id/decision
+ * body: { decision: APPROVE|REJECT, reason }
+ */
+export async function decideReviewHandler(req, res) {
+  try {
+    const { decision, reason } = req.body;
+    const item = await decideReview(req.params.verification_id, req.client.client_id, decision, reason);
+    return res.status(200).json(item);
+  } catch (err) {
+    return sendReviewError(res, err, 'decideReviewHandler');
+  }
+}
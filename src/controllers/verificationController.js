@@ -0,0 +1,31 @@
+// src/controllers/verificationController.js
+import { findVerificationById, searchVerifications, toVerificationResponse } from '../services/verificationService.js';
+
+/**
+ * GET /api/v1/verifications/:verification_id
+ */
+export async function getVerificationHandler(req, res) {
+  try {
+    const doc = await findVerificationById(req.params.verification_id);
+    if (!doc) return res.status(404).json({ error: 'verification_not_found' });
+    return res.status(200).json(toVerificationResponse(doc));
+  } catch (err) {
+    console.error('getVerificationHandler error', err);
+    return res.status(500).json({ error: 'internal_server_error' });
+  }
+}
+
+/**
+ * GET /api/v1/verifications?request_id=&doc_type=&status=&from=&to=&cursor=&limit=
+ * expects validated query (see verificationQuerySchema)
+ */
+export async function listVerificationsHandler(req, res) {
+  try {
+    const { items, next_cursor } = await searchVerifications(req.query);
+    return res.status(200).json({ items, count: items.length, next_cursor });
+  } catch (err) {
+    if (err.code === 'invalid_cursor') return res.status(400).json({ error: 'validation_error', details: ['"cursor" is invalid'] });
+    console.error('listVerificationsHandler error', err);
+    return res.status(500).json({ error: 'internal_server_error' });
+  }
+}
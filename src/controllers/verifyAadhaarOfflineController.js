@@ -0,0 +1,150 @@
+// src/controllers/verifyAadhaarOfflineController.js
+import fs from 'fs';
+import Verification from '../models/Verification.js';
+import { nameSimilarity } from '../services/matchingService.js';
+import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
+import { sha256Hex } from '../utils/hash.js';
+import {
+  contactHashMatches, parseOfflineEkycXml, parseSecureQr, publicKeyFromCertificate,
+  secureQrDemographics, signedEkycDemographics, verifySecureQrSignature
+} from '../utils/aadhaarOffline.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// UIDAI signing certificates; QR and e-KYC may use different ones, both fall back to
+// UIDAI_OFFLINE_CERT_PATH. Read per call (src/index.js loads .env after imports), cached per path.
+const keyCache = new Map();
+function uidaiPublicKey(source) {
+  const path = (source === 'SECURE_QR' ? process.env.UIDAI_SECURE_QR_CERT_PATH : process.env.UIDAI_EKYC_CERT_PATH)
+    || process.env.UIDAI_OFFLINE_CERT_PATH;
+  if (!path) return null;
+  if (!keyCache.has(path)) keyCache.set(path, publicKeyFromCertificate(fs.readFileSync(path)));
+  return keyCache.get(path);
+}
+
+/**
+ * POST /api/verify/aadhaar-offline
+ * expects validated body (see verifyAadhaarOfflineSchema)
+ * The UIDAI signature stands in for the DB lookup: signed demographics are authoritative.
+ * Only last 4 digits and a few demographics are persisted — never the payload, photo or share code.
+ */
+export async function verifyAadhaarOfflineHandler(req, res) {
+  try {
+    const { request_id, submitted_by, extracted } = req.body;
+    const { secure_qr, ekyc_xml, share_code, name, dob, mobile, email } = extracted;
+    const source = secure_qr ? 'SECURE_QR' : 'OFFLINE_EKYC';
+
+    const verification_id = `ver-${uuidv4()}`;
+    // digital payload: nothing was OCR'd
+    const checks = { format_check: 0, db_match_score: 0, ocr_confidence: 1, signature_valid: null };
+    const reasons = [];
+
+    let parsed = null;
+    let demographics = null;
+    try {
+      if (secure_qr) {
+        parsed = parseSecureQr(secure_qr);
+        demographics = secureQrDemographics(parsed);
+      } else {
+        parsed = parseOfflineEkycXml(ekyc_xml);
+        demographics = parsed.demographics;
+      }
+    } catch (e) {
+      if (!['invalid_secure_qr', 'invalid_ekyc_xml'].includes(e.code)) throw e;
+      reasons.push(`aadhaar_offline_${e.code}`);
+    }
+
+    if (demographics) {
+      checks.format_check = demographics.aadhaar_last4 ? 1 : 0.5;
+
+      const publicKey = uidaiPublicKey(source);
+      if (!publicKey) {
+        reasons.push('aadhaar_offline_certificate_not_configured');
+      } else {
+        if (secure_qr) {
+          checks.signature_valid = verifySecureQrSignature(parsed, publicKey);
+        } else {
+          // compare against what the signature covers, not against the submitted document
+          const signed = signedEkycDemographics(parsed, ekyc_xml, publicKey);
+          checks.signature_valid = Boolean(signed);
+          if (signed) demographics = signed;
+        }
+        reasons.push(checks.signature_valid ? 'aadhaar_offline_signature_valid' : 'aadhaar_offline_signature_invalid');
+      }
+
+      // claimed values vs signed values; only what the client sent is compared
+      const comparisons = [];
+      if (name && demographics.name) comparisons.push(['name', nameSimilarity(name, demographics.name)]);
+      if (dob && demographics.dob) comparisons.push(['dob', new Date(dob).toISOString().slice(0, 10) === demographics.dob ? 1 : 0]);
+      for (const [field, score] of comparisons) if (score < 0.85) reasons.push(`aadhaar_offline_${field}_mismatch`);
+      checks.demographic_match = comparisons.length
+        ? Number((comparisons.reduce((s, [, v]) => s + v, 0) / comparisons.length).toFixed(4))
+        : null;
+
+      // the e-KYC XML salts the hash with the share code; the Secure QR does not
+      const hashOpts = { aadhaarLast4: demographics.aadhaar_last4, shareCode: secure_qr ? '' : (share_code || '') };
+      const contact = [
+        contactHashMatches(mobile, demographics.mobile_hash, hashOpts),
+        contactHashMatches(email, demographics.email_hash, hashOpts)
+      ].filter(v => v !== null);
+      checks.contact_hash_match = contact.length ? (contact.every(Boolean) ? 1 : 0) : null;
+      if (checks.contact_hash_match === 0) reasons.push('aadhaar_offline_contact_hash_mismatch');
+
+      if (checks.signature_valid) {
+        const agreement = [checks.demographic_match, checks.contact_hash_match].filter(v => v !== null);
+        checks.db_match_score = agreement.length ? Math.min(...agreement) : 1;
+      } else if (checks.signature_valid === false) {
+        checks.format_check = 0;
+      }
+    }
+
+    const final_confidence = computeFinalConfidence(checks);
+    const status = decideStatus(final_confidence);
+
+    const verDoc = await Verification.create({
+      verification_id,
+      request_id,
+      submitted_by,
+      doc_type: 'AADHAAR',
+      extracted: {
+        source,
+        payload_sha256: sha256Hex(secure_qr || ekyc_xml),
+        aadhaar_last4: demographics?.aadhaar_last4 ?? null,
+        name: demographics?.name ?? null,
+        dob: demographics?.dob ?? null,
+        gender: demographics?.gender ?? null,
+        pincode: demographics?.pincode ?? null,
+        state: demographics?.state ?? null,
+        claimed_name: name ?? null,
+        claimed_dob: dob ?? null
+      },
+      checks,
+      matched_record_id: null,
+      final_confidence,
+      status,
+      reasons
+    });
+
+    return res.status(200).json({
+      verification_id,
+      status,
+      final_confidence: Number(final_confidence.toFixed(4)),
+      scores: checks,
+      aadhaar_offline: demographics ? {
+        source,
+        aadhaar_last4: demographics.aadhaar_last4,
+        name: demographics.name,
+        dob: demographics.dob,
+        gender: demographics.gender,
+        care_of: demographics.care_of,
+        address: demographics.address,
+        pincode: demographics.pincode,
+        generated_at: demographics.generated_at
+      } : null,
+      reasons: verDoc.reasons,
+      timestamp: verDoc.created_at
+    });
+  } catch (err) {
+    console.error('verifyAadhaarOfflineHandler error', err);
+    return res.status(500).json({ error: 'internal_server_error' });
+  }
+}
@@ -2,10 +2,15 @@
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
-import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
-import levenshtein from 'fast-levenshtein';
+import { findBestMatch, nameSimilarity } from '../services/matchingService.js';
+import { validateBankAccount } from '../services/accountValidationService.js';
+import { checkIfsc, micrMatchesIfsc } from '../services/ifscService.js';
+import { parseMicrLine } from '../utils/micr.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// beneficiary name similarity at which the bank's answer confirms the account holder
+const BANK_NAME_CONFIRMED = 0.8;
+
 /**
  * POST /api/verify/bank-cheque
  */
@@ -13,8 +18,8 @@ export async function verifyBankChequeHandler(req, res) {
   try {
     const { request_id, submitted_by, extracted } = req.body;
     let {
-      account_holder_name, account_no_masked, id_hash: client_hash, ifsc,
-      bank_name, branch, account_type, cheque_number, cheque_date, document_hash, ocr_confidence
+      account_holder_name, account_no_masked, account_no, id_hash: client_hash, ifsc,
+      bank_name, branch, account_type, cheque_number, cheque_date, document_hash, micr_line, ocr_confidence
     } = extracted;
 
     const verification_id = `ver-${uuidv4()}`;
@@ -32,6 +37,40 @@ export async function verifyBankChequeHandler(req, res) {
     // IFSC check if present
     if (ifsc && !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc)) checks.format_check = Math.min(checks.format_check, 0.6);
 
+    // IFSC directory: the code must exist and agree with the printed bank / branch
+    const ifscCheck = ifsc ? await checkIfsc({ ifsc, bank_name, branch }) : null;
+    if (ifscCheck) {
+      checks.ifsc_exists = ifscCheck.ifsc_exists;
+      checks.bank_name_match = ifscCheck.bank_name_match;
+      checks.branch_match = ifscCheck.branch_match;
+    }
+
+    // MICR band: cheque number, MICR code vs IFSC branch, CTS-2010 transaction code, account type
+    const micr = micr_line ? parseMicrLine(micr_line) : null;
+    const micrReasons = [];
+    if (micr_line) {
+      checks.micr_parsed = micr ? 1 : 0;
+      if (!micr) micrReasons.push('micr_unparsable');
+    }
+    if (micr) {
+      if (cheque_number) {
+        checks.micr_cheque_no_match = Number(cheque_number.replace(/\D/g, '')) === Number(micr.cheque_number) ? 1 : 0;
+        if (!checks.micr_cheque_no_match) micrReasons.push('micr_cheque_number_mismatch');
+      }
+      checks.micr_ifsc_match = await micrMatchesIfsc(micr.micr_code, ifscCheck?.entry);
+      if (checks.micr_ifsc_match === 0) micrReasons.push('micr_bank_mismatch');
+      else if (checks.micr_ifsc_match === 0.5) micrReasons.push('micr_branch_mismatch');
+
+      checks.micr_transaction_code = micr.cts_2010 === true ? 1 : (micr.cts_2010 === false ? 0.5 : 0);
+      if (micr.cts_2010 === false) micrReasons.push('micr_non_cts_2010_transaction_code');
+      else if (micr.cts_2010 === null) micrReasons.push('micr_transaction_code_unknown');
+      if (micr.transaction_type && ['savings', 'current'].includes(account_type) && ['savings', 'current'].includes(micr.transaction_type)
+        && account_type !== micr.transaction_type) {
+        micrReasons.push('micr_account_type_mismatch');
+        checks.micr_transaction_code = Math.min(checks.micr_transaction_code, 0.5);
+      }
+    }
+
     // cheque_date recency: <= 180 days -> 1, <= 365 -> 0.6, else 0
     const now = new Date();
     if (cheque_date) {
@@ -62,44 +101,50 @@ export async function verifyBankChequeHandler(req, res) {
     }
 
     // Fuzzy fallback: match account_holder_name + bank_name similarity
+    // (the directory's bank name is canonical when the IFSC resolved)
     if (!matchedRecord) {
-      const query = { doc_type: 'BANK_CHEQUE' };
-      // try to filter by bank_name to reduce candidates
-      if (bank_name) query['raw.bank_name'] = { $regex: bank_name.split(' ').slice(0,3).join(' '), $options: 'i' };
-      let candidates = await AuthoritativeRecord.find(query).limit(200).lean();
-      if (!candidates || candidates.length === 0) candidates = await AuthoritativeRecord.find({ doc_type: 'BANK_CHEQUE' }).limit(200).lean();
-
-      const nameCanon = normalizeName(account_holder_name || '');
-      const scored = candidates.map(c => {
-        const candName = c.canonical_name || (c.raw && c.raw.account_holder_name) || '';
-        const candBank = (c.raw && c.raw.bank_name) || '';
-        const nameDist = levenshtein.get(nameCanon, normalizeName(candName || ''));
-        const nameMax = Math.max(nameCanon.length, (candName||'').length, 1);
-        const nameSim = 1 - (nameDist / nameMax);
-
-        let bankSim = 0;
-        if (bank_name && candBank) {
-          const bankDist = levenshtein.get(bank_name.toLowerCase(), candBank.toLowerCase());
-          const bankMax = Math.max(bank_name.length, (candBank||'').length, 1);
-          bankSim = 1 - (bankDist / bankMax);
-        }
-
-        // weight name more heavily
-        const combined = (0.75 * nameSim) + (0.25 * bankSim);
-        return { record: c, score: combined };
-      });
+      const fuzzy = await findBestMatch('BANK_CHEQUE', { name: account_holder_name, bank: ifscCheck?.entry?.bank || bank_name });
+      if (fuzzy) {
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
+      }
+    }
 
-      scored.sort((a,b) => b.score - a.score);
-      const best = scored[0];
-      if (best && best.score >= 0.62) {
-        matchedRecord = { record: best.record, match_type: 'fuzzy_name_bank', score: best.score };
-        checks.db_match_score = best.score;
+    // Penny drop / name lookup with the bank (needs the full account number + IFSC)
+    let accountValidation = null;
+    let dbScore = checks.db_match_score;
+    if (account_no && ifsc) {
+      accountValidation = await validateBankAccount({ account_no, ifsc });
+      if (accountValidation.status === 'VALID') {
+        checks.account_validation = accountValidation.beneficiary_name
+          ? Number(nameSimilarity(account_holder_name, accountValidation.beneficiary_name).toFixed(4))
+          : null;
+        if (checks.account_validation === null) {
+          // the account existing says nothing about who holds it: a consistency signal only
+          checks.account_exists = 1;
+        } else if (checks.account_validation >= BANK_NAME_CONFIRMED) {
+          // a confirmed beneficiary name is at least as strong as a seeded record
+          dbScore = Math.max(dbScore, checks.account_validation);
+        } else {
+          // the bank names someone else as the holder
+          dbScore *= checks.account_validation;
+        }
+      } else if (accountValidation.status === 'UNAVAILABLE') {
+        checks.account_validation = null;
+      } else {
+        checks.account_validation = 0;
+        dbScore *= 0.3; // the bank says the account does not exist
       }
     }
 
-    // Combine recent_cheque_score into format composite
-    const compositeFormat = (checks.format_check + checks.recent_cheque_score) / 2;
-    const final_confidence = computeFinalConfidence({ db_match_score: checks.db_match_score, format_check: compositeFormat, ocr_confidence: checks.ocr_confidence });
+    // Combine recent_cheque_score and the IFSC directory checks that ran into format composite
+    const formatParts = [
+      checks.format_check, checks.recent_cheque_score, checks.ifsc_exists, checks.bank_name_match, checks.branch_match,
+      checks.micr_parsed, checks.micr_cheque_no_match, checks.micr_ifsc_match, checks.micr_transaction_code,
+      checks.account_exists
+    ].filter(v => v !== null && v !== undefined);
+    const compositeFormat = formatParts.reduce((a, b) => a + b, 0) / formatParts.length;
+    const final_confidence = computeFinalConfidence({ db_match_score: dbScore, format_check: compositeFormat, ocr_confidence: checks.ocr_confidence });
     const status = decideStatus(final_confidence);
 
     // Persist verification
@@ -108,12 +153,13 @@ export async function verifyBankChequeHandler(req, res) {
       request_id,
       submitted_by,
       doc_type: 'BANK_CHEQUE',
-      extracted,
+      // the full account number is only used for the provider call, never stored
+      extracted: account_no ? { ...extracted, account_no: `${'X'.repeat(account_no.length - 4)}${account_no.slice(-4)}` } : extracted,
       checks,
       matched_record_id: matchedRecord?.record?._id ?? null,
       final_confidence,
       status,
-      reasons: buildReasons(checks, matchedRecord)
+      reasons: buildReasons(checks, matchedRecord, ifscCheck, micrReasons, accountValidation)
     });
 
     // Response (mask PII)
@@ -127,7 +173,21 @@ export async function verifyBankChequeHandler(req, res) {
         match_type: matchedRecord.match_type,
         id_masked: matchedRecord.record.id_masked || null,
         bank_name: matchedRecord.record.raw?.bank_name || null,
-        branch: matchedRecord.record.raw?.branch || null
+        branch: matchedRecord.record.raw?.branch || null,
+        field_scores: matchedRecord.field_scores || null
+      } : null,
+      account_validation: accountValidation ? {
+        provider: accountValidation.provider,
+        status: accountValidation.status,
+        reference: accountValidation.reference,
+        error: accountValidation.error
+      } : null,
+      ifsc_branch: ifscCheck?.entry ? {
+        ifsc: ifscCheck.entry.ifsc,
+        bank: ifscCheck.entry.bank,
+        branch: ifscCheck.entry.branch,
+        city: ifscCheck.entry.city,
+        state: ifscCheck.entry.state
       } : null,
       reasons: verDoc.reasons,
       timestamp: verDoc.created_at
@@ -141,9 +201,19 @@ export async function verifyBankChequeHandler(req, res) {
   }
 }
 
-function buildReasons(checks, matchedRecord) {
+function buildReasons(checks, matchedRecord, ifscCheck, micrReasons, accountValidation) {
   const reasons = [];
   if (checks.format_check === 1) reasons.push('fields_present');
+  if (ifscCheck?.ifsc_exists === 1) reasons.push('ifsc_found');
+  if (ifscCheck) reasons.push(...ifscCheck.reasons);
+  reasons.push(...micrReasons);
+  if (accountValidation) {
+    if (accountValidation.status === 'UNAVAILABLE') reasons.push(`account_validation_unavailable_${accountValidation.error}`);
+    else if (accountValidation.status !== 'VALID') reasons.push(`account_validation_${accountValidation.status.toLowerCase()}`);
+    else if (checks.account_validation === null) reasons.push('account_exists_name_not_returned');
+    else if (checks.account_validation >= BANK_NAME_CONFIRMED) reasons.push('account_holder_confirmed_by_bank');
+    else reasons.push('account_holder_mismatch_at_bank');
+  }
   if (checks.recent_cheque_score === 1) reasons.push('cheque_recent_<=_180d');
   else if (checks.recent_cheque_score === 0.6) reasons.push('cheque_within_365d');
   else reasons.push('cheque_old_or_unknown');
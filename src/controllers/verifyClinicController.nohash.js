@@ -2,7 +2,8 @@
 import AuthoritativeRecord from "../models/AuthoritativeRecord.js";
 import Verification from "../models/Verification.js";
 import { computeFinalConfidence, decideStatus } from "../services/scoringService.js";
-import levenshtein from "fast-levenshtein";
+import { findBestMatch } from "../services/matchingService.js";
+import { checkPanConsistency } from "../utils/idValidators.js";
 import { v4 as uuidv4 } from "uuid";
 
 /**
@@ -15,7 +16,7 @@ export async function verifyClinicHandlerNoHash(req, res) {
     const { request_id, submitted_by, extracted } = req.body;
     const {
       sector, clinic_type, clinical_registration_no, clinical_registration_form_name,
-      incorporation_no, pan_of_entity_masked, gst_no,
+      incorporation_no, entity_name, pan_of_entity_masked, gst_no,
       premises_ownership_type, premises_address, occupancy_certificate_no, latest_utility_bill_date,
       practitioners = [],
       equipment_list = [], sops_present = false, consent_template_present = false,
@@ -28,7 +29,7 @@ export async function verifyClinicHandlerNoHash(req, res) {
     // Components
     const components = {
       clinical_registration: { required: true, matched:false, score:0, record:null },
-      entity_kyc: { required:false, matched:false, score:0, record:null },
+      entity_kyc: { required:false, matched:false, score:0, record:null, reasons:[] },
       premises: { required:true, matched:false, score:0, record:null },
       practitioners: { required:true, matched:false, score:0, matched_count:0, records:[] },
       facility: { required:true, matched:false, score:0 },
@@ -48,32 +49,13 @@ export async function verifyClinicHandlerNoHash(req, res) {
       return await AuthoritativeRecord.findOne(q).lean();
     }
 
-    async function fuzzyLookupByName(docTypes, name, threshold = 0.62) {
-      if (!name) return null;
-      const types = Array.isArray(docTypes) ? docTypes : [docTypes];
-      const candidates = await AuthoritativeRecord.find({ doc_type: { $in: types } }).limit(400).lean();
-      if (!candidates || candidates.length === 0) return null;
-      const nameCanon = name.toString().toLowerCase().trim();
-      const scored = candidates.map(c => {
-        const cand = (c.canonical_name || (c.raw && (c.raw.name || c.raw.practitioner_name) ) || "").toString().toLowerCase();
-        const dist = levenshtein.get(nameCanon, cand);
-        const maxLen = Math.max(nameCanon.length, cand.length, 1);
-        const sim = 1 - (dist / maxLen);
-        return { record: c, score: sim };
-      });
-      scored.sort((a,b)=>b.score - a.score);
-      const best = scored[0];
-      if (best && best.score >= threshold) return best;
-      return null;
-    }
-
     // 1) Clinical registration exact by registration no or form name
     if (clinical_registration_no) {
       const rec = await exactLookupByField("CLINICAL_REG", clinical_registration_no);
       if (rec) { components.clinical_registration.matched = true; components.clinical_registration.score = 1; components.clinical_registration.record = rec; }
     }
     if (!components.clinical_registration.matched && clinical_registration_form_name) {
-      const fuzzy = await fuzzyLookupByName("CLINICAL_REG", clinical_registration_form_name, 0.58);
+      const fuzzy = await findBestMatch("CLINICAL_REG", { name: clinical_registration_form_name });
       if (fuzzy) { components.clinical_registration.matched = true; components.clinical_registration.score = fuzzy.score; components.clinical_registration.record = fuzzy.record; }
     }
 
@@ -88,6 +70,13 @@ export async function verifyClinicHandlerNoHash(req, res) {
       const rec = await exactLookupByField("GST", gst_no);
       if (rec) { components.entity_kyc.matched = true; components.entity_kyc.score = 1; components.entity_kyc.record = rec; }
     }
+    // the entity PAN must be a non-individual PAN whose 5th char is the entity name initial
+    if (pan_of_entity_masked) {
+      const panCheck = checkPanConsistency(pan_of_entity_masked, { name: entity_name, expected_holder: "NON_INDIVIDUAL" });
+      components.entity_kyc.reasons.push(...panCheck.reasons);
+      if (panCheck.holder_type_match === false) components.entity_kyc.score *= 0.25;
+      if (panCheck.name_initial_match === false) components.entity_kyc.score *= 0.5;
+    }
 
     // 3) Premises: occupancy certificate or utility check & address fuzzy match
     let premisesScore = 0;
@@ -97,20 +86,8 @@ export async function verifyClinicHandlerNoHash(req, res) {
     }
     if (!components.premises.matched && premises_address) {
       // fuzzy find utility or lease with similar address
-      const addrFrag = premises_address.toString().split(/\s+/).slice(0,4).join(" ");
-      const candidates = await AuthoritativeRecord.find({ doc_type: { $in: ["LEASE","UTILITY","INCORP"] }, address: { $regex: addrFrag, $options: "i" } }).limit(200).lean();
-      if (candidates && candidates.length) {
-        // compute address/name similarity
-        let bestSim = 0;
-        for (const c of candidates) {
-          const candAddr = (c.address || (c.raw && (c.raw.registered_office_address || ""))).toString().toLowerCase();
-          const dist = levenshtein.get(premises_address.toLowerCase(), candAddr || "");
-          const maxLen = Math.max(premises_address.length, (candAddr||"").length, 1);
-          const sim = 1 - (dist / maxLen);
-          if (sim > bestSim) { bestSim = sim; components.premises.record = c; }
-        }
-        if (bestSim >= 0.62) { components.premises.matched = true; components.premises.score = bestSim; premisesScore = bestSim; }
-      }
+      const fuzzy = await findBestMatch("PREMISES", { address: premises_address });
+      if (fuzzy) { components.premises.matched = true; components.premises.score = fuzzy.score; components.premises.record = fuzzy.record; premisesScore = fuzzy.score; }
     }
     components.premises.score = premisesScore;
 
@@ -124,7 +101,7 @@ export async function verifyClinicHandlerNoHash(req, res) {
         if (rec) matched = { rec, method: "exact_masked" };
       }
       if (!matched && p.name) {
-        const fuzzy = await fuzzyLookupByName(["TECH_CERT","PROMOTER_KYC","PAN"], p.name, 0.62);
+        const fuzzy = await findBestMatch("PRACTITIONER", { name: p.name });
         if (fuzzy) matched = { rec: fuzzy.record, method: "fuzzy_name", score: fuzzy.score };
       }
       if (matched) {
@@ -242,6 +219,7 @@ function buildReasons(components, dbScore, finalConfidence) {
   if (!components.practitioners.matched) reasons.push("practitioners_insufficient");
   if (!components.facility.matched) reasons.push("facility_insufficient");
   if (!components.statutory.matched) reasons.push("missing_statutory_nocs");
+  reasons.push(...components.entity_kyc.reasons);
   reasons.push(`db_score_${dbScore.toFixed(3)}`);
   reasons.push(`final_confidence_${finalConfidence.toFixed(3)}`);
   return reasons;
@@ -2,7 +2,7 @@
 import AuthoritativeRecord from "../models/AuthoritativeRecord.js";
 import Verification from "../models/Verification.js";
 import { computeFinalConfidence, decideStatus } from "../services/scoringService.js";
-import levenshtein from "fast-levenshtein";
+import { findBestMatch } from "../services/matchingService.js";
 import { v4 as uuidv4 } from "uuid";
 
 /**
@@ -72,58 +72,6 @@ export async function verifyElectricityHandlerNoHash(req, res) {
       return await AuthoritativeRecord.findOne(q).lean();
     }
 
-    // Fuzzy lookup by name + address + distributor
-    async function fuzzyLookupConsumer(name, addr, discom, threshold = 0.62) {
-      if (!name) return null;
-      const q = { doc_type: { $in: ["ELECTRICITY_BILL", "UTILITY", "INCORP", "PROMOTER_KYC"] } };
-      // limit candidates to those with the discom or address fragment if possible to reduce noise
-      let candidates = [];
-      if (discom) {
-        candidates = await AuthoritativeRecord.find({ doc_type: { $in: ["ELECTRICITY_BILL", "UTILITY"] }, "raw.distributor_name": { $regex: discom.split(" ").slice(0,3).join(" "), $options: "i" } }).limit(500).lean();
-      }
-      if (!candidates || candidates.length === 0) {
-        // fallback to address fragment or all ELECTRICITY_BILL records
-        const addrFrag = addr ? addr.split(/\s+/).slice(0,4).join(" ") : null;
-        candidates = addrFrag
-          ? await AuthoritativeRecord.find({ doc_type: { $in: ["ELECTRICITY_BILL", "UTILITY"] }, address: { $regex: addrFrag, $options: "i" } }).limit(500).lean()
-          : await AuthoritativeRecord.find({ doc_type: { $in: ["ELECTRICITY_BILL", "UTILITY"] } }).limit(500).lean();
-      }
-      if (!candidates || candidates.length === 0) return null;
-
-      const nameCanon = name.toString().toLowerCase().trim();
-      const scored = candidates.map(c => {
-        const candName = (c.canonical_name || (c.raw && (c.raw.consumer_name || c.raw.account_name)) || "").toString().toLowerCase();
-        const dist = levenshtein.get(nameCanon, candName);
-        const maxLen = Math.max(nameCanon.length, candName.length, 1);
-        const sim = 1 - (dist / maxLen);
-        // boost if distributor matches
-        let boost = 0;
-        if (discom && c.raw && c.raw.distributor_name) {
-          const dA = discom.toLowerCase();
-          const dB = c.raw.distributor_name.toLowerCase();
-          const dDist = levenshtein.get(dA, dB);
-          const dMax = Math.max(dA.length, dB.length, 1);
-          const dSim = 1 - (dDist / dMax);
-          if (dSim > 0.7) boost += 0.15;
-        }
-        // boost small for address similarity
-        if (addr && c.address) {
-          const aA = addr.toLowerCase();
-          const aB = c.address.toLowerCase();
-          const aDist = levenshtein.get(aA, aB);
-          const aMax = Math.max(aA.length, aB.length, 1);
-          const aSim = 1 - (aDist / aMax);
-          if (aSim > 0.6) boost += 0.12;
-        }
-        const score = Math.min(1, sim + boost);
-        return { record: c, score };
-      });
-      scored.sort((a,b) => b.score - a.score);
-      const best = scored[0];
-      if (best && best.score >= threshold) return best;
-      return null;
-    }
-
     // 1) Format check (consumer_name + billing_date required)
     if (consumer_name && billing_date) checks.format_check = 1;
     else checks.format_check = consumer_name ? 0.6 : 0;
@@ -160,7 +108,7 @@ export async function verifyElectricityHandlerNoHash(req, res) {
 
     // 4) Fuzzy fallback: name+address+discom
     if (!matchedRec) {
-      const fuzzy = await fuzzyLookupConsumer(consumer_name, address, distributor_name, 0.62);
+      const fuzzy = await findBestMatch("ELECTRICITY_BILL", { name: consumer_name, address, distributor: distributor_name });
       if (fuzzy) {
         matchedRec = fuzzy.record;
         components.consumer_record.matched = true;
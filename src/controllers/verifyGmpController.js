@@ -2,8 +2,8 @@
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
-import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
-import levenshtein from 'fast-levenshtein';
+import { normalizeId, sha256Hex } from '../utils/hash.js';
+import { findBestMatch } from '../services/matchingService.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -62,10 +62,10 @@ export async function verifyGmpHandler(req, res) {
 
     // Fuzzy fallback: lab_name + scheme_name
     if (!matchedRecord && lab_name) {
-      const fuzzy = await fuzzyLookupGmp(lab_name, scheme_name);
+      const fuzzy = await findBestMatch('GMP', { name: lab_name, scheme: scheme_name });
       if (fuzzy) {
-        matchedRecord = { record: fuzzy.record, match_type: 'fuzzy_lab_scheme', score: fuzzy.score };
-        checks.db_match_score = fuzzy.score || 0;
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
       }
     }
 
@@ -100,7 +100,8 @@ export async function verifyGmpHandler(req, res) {
         id_masked: matchedRecord.record.id_masked || null,
         lab_name: matchedRecord.record.canonical_name || null,
         valid_upto: matchedRecord.record.valid_upto || null,
-        scope: matchedRecord.record.scope || null
+        scope: matchedRecord.record.scope || null,
+        field_scores: matchedRecord.field_scores || null
       } : null,
       reasons: verDoc.reasons,
       timestamp: verDoc.created_at
@@ -123,45 +124,6 @@ function getRequiredEquipmentForScheme(scheme) {
   return map[scheme] || [];
 }
 
-// fuzzy candidate scoring using lab_name & scheme_name similarity
-async function fuzzyLookupGmp(labName, schemeName) {
-  const canonicalLab = normalizeName(labName);
-  const query = { doc_type: 'GMP' };
-  // attempt to filter by scheme_name if present (stored in scope or raw)
-  if (schemeName) query.scope = { $regex: schemeName.split(' ').slice(0,3).join(' '), $options: 'i' };
-
-  let candidates = await AuthoritativeRecord.find(query).limit(200).lean();
-  if (!candidates || candidates.length === 0) {
-    candidates = await AuthoritativeRecord.find({ doc_type: 'GMP' }).limit(200).lean();
-  }
-  if (!candidates || candidates.length === 0) return null;
-
-  const scored = candidates.map(c => {
-    const candName = c.canonical_name || (c.raw && c.raw.lab_name) || '';
-    const nameDist = levenshtein.get(canonicalLab, normalizeName(candName || ''));
-    const nameMax = Math.max(canonicalLab.length, (candName||'').length, 1);
-    const nameSim = 1 - (nameDist / nameMax);
-
-    let schemeSim = 0;
-    if (schemeName && (c.scope || c.raw?.scheme_name)) {
-      const candScheme = c.scope || c.raw.scheme_name || '';
-      const schemeDist = levenshtein.get(schemeName.toLowerCase(), candScheme.toLowerCase());
-      const schemeMax = Math.max(schemeName.length, (candScheme||'').length, 1);
-      schemeSim = 1 - (schemeDist / schemeMax);
-    }
-    // weight lab name 0.7, scheme 0.3
-    const combined = (0.7 * nameSim) + (0.3 * schemeSim);
-    return { record: c, score: combined };
-  });
-
-  scored.sort((a,b) => b.score - a.score);
-  const best = scored[0];
-  if (best && best.score >= 0.60) return { record: best.record, score: best.score };
-  return null;
-}
-
-
-
 function buildReasons(checks, matchedRecord) {
   const reasons = [];
   if (checks.format_check === 1) reasons.push('cert_format_ok');
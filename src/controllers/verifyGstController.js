@@ -1,9 +1,10 @@
 // src/controllers/verifyGstController.js
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
-import { exactLookupById, fuzzyLookupByNameDob } from '../services/matchingService.js';
+import { exactLookupById, findBestMatch, nameSimilarity } from '../services/matchingService.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
 import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
+import { checkPanConsistency, decodeGstin, stateMatches } from '../utils/idValidators.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -21,9 +22,23 @@ export async function verifyGstHandler(req, res) {
     if (gstin) gstin = gstin.toString().replace(/\s+/g, '').toUpperCase();
     const nameToUse = normalizeName(legal_name || trade_name || '');
 
-    // Format check (gstin presence and regex)
-    if (gstin && /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][A-Z0-9]Z[A-Z0-9]$/.test(gstin)) {
-      checks.format_check = 1;
+    // Format check (gstin presence and regex), then structural components:
+    //  gstin_checksum     - mod-36 check character
+    //  state_code_match   - state code vs state_jurisdiction (null when not provided)
+    //  embedded_pan_match - embedded PAN vs a PAN record for the entity (null when no record)
+    const decoded = gstin ? decodeGstin(gstin) : null;
+    let panCheck = null;
+    if (decoded) {
+      checks.gstin_checksum = decoded.checksum_valid ? 1 : 0;
+      checks.gst_state = decoded.state_name;
+      checks.state_code_match = state_jurisdiction ? (stateMatches(decoded.state_name, state_jurisdiction) ? 1 : 0) : null;
+      panCheck = checkPanConsistency(decoded.pan, { name: legal_name });
+      checks.embedded_pan_match = null;
+
+      checks.format_check = decoded.checksum_valid ? 1 : 0.3;
+      if (checks.state_code_match === 0) checks.format_check *= 0.6;
+      if (panCheck.name_initial_match === false) checks.format_check *= 0.8;
+      checks.format_check = Number(checks.format_check.toFixed(4));
     } else if (!gstin) {
       checks.format_check = 0; // will rely on name fuzzy
     } else {
@@ -49,15 +64,27 @@ export async function verifyGstHandler(req, res) {
 
     // Fuzzy fallback: match by legal_name + registration_date
     if (!matchedRecord && legal_name) {
-      const fuzzy = await fuzzyLookupByNameDobForEntity('GST', legal_name, registration_date);
+      // registration_date is stored in the dob field for GST seeds
+      const fuzzy = await findBestMatch('GST', { name: legal_name, dob: registration_date });
       if (fuzzy) {
-        matchedRecord = { record: fuzzy.record, match_type: 'fuzzy_name_date', score: fuzzy.score };
-        checks.db_match_score = fuzzy.score || 0;
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
+      }
+    }
+
+    // Embedded PAN: the PAN record for the same entity should carry the same legal name
+    let dbScore = checks.db_match_score;
+    if (decoded) {
+      const panRec = await AuthoritativeRecord.findOne({ doc_type: 'PAN', id_hash: sha256Hex(normalizeId(decoded.pan)) }).lean();
+      if (panRec) {
+        checks.embedded_pan_match = Number(nameSimilarity(legal_name, panRec.canonical_name || panRec.raw?.name).toFixed(4));
+        // blended in as a minor component of the DB score
+        dbScore = dbScore * 0.85 + checks.embedded_pan_match * 0.15;
       }
     }
 
     // Compute final confidence and decide
-    const final_confidence = computeFinalConfidence(checks);
+    const final_confidence = computeFinalConfidence({ ...checks, db_match_score: dbScore });
     const status = decideStatus(final_confidence);
 
     // Persist verification
@@ -71,7 +98,7 @@ export async function verifyGstHandler(req, res) {
       matched_record_id: matchedRecord?.record?._id ?? null,
       final_confidence,
       status,
-      reasons: buildReasons(checks, matchedRecord)
+      reasons: buildReasons(checks, matchedRecord, panCheck)
     });
 
     // Response (mask PII)
@@ -85,7 +112,8 @@ export async function verifyGstHandler(req, res) {
         match_type: matchedRecord.match_type,
         id_masked: matchedRecord.record.id_masked || null,
         legal_name: matchedRecord.record.canonical_name || null,
-        state_jurisdiction: matchedRecord.record.state_jurisdiction || null
+        state_jurisdiction: matchedRecord.record.state_jurisdiction || null,
+        field_scores: matchedRecord.field_scores || null
       } : null,
       reasons: verDoc.reasons,
       timestamp: verDoc.created_at
@@ -98,35 +126,16 @@ export async function verifyGstHandler(req, res) {
   }
 }
 
-/**
- * Lightweight fuzzy lookup specialized for entities (uses name + registration_date)
- * Falls back to matching by canonical_name similarity among candidates.
- */
-import levenshtein from 'fast-levenshtein';
-
-
-async function fuzzyLookupByNameDobForEntity(docType, name, registration_date) {
-  const canonical = normalizeName(name || '');
-  const query = { doc_type: docType };
-  if (registration_date) query.dob = new Date(registration_date); // stored in dob field for INCorp/GST seeds
-  const candidates = await AuthoritativeRecord.find(query).limit(200).lean();
-  if (!candidates || candidates.length === 0) return null;
-  const scored = candidates.map(c => {
-    const candName = c.canonical_name || '';
-    const dist = levenshtein.get(canonical, normalizeName(candName));
-    const maxLen = Math.max(canonical.length, candName.length, 1);
-    const similarity = 1 - (dist / maxLen);
-    return { record: c, similarity };
-  });
-  scored.sort((a,b) => b.similarity - a.similarity);
-  const best = scored[0];
-  if (best && best.similarity >= 0.62) return { record: best.record, score: best.similarity };
-  return null;
-}
-
-function buildReasons(checks, matchedRecord) {
+function buildReasons(checks, matchedRecord, panCheck) {
   const reasons = [];
   if (checks.format_check === 1) reasons.push('gst_format_ok');
+  if (checks.gstin_checksum === 0) reasons.push('gstin_checksum_failed');
+  if (checks.state_code_match === 0) reasons.push('gst_state_code_mismatch');
+  if (panCheck) {
+    reasons.push(...panCheck.reasons.map(r => `gst_embedded_${r}`));
+    if (checks.embedded_pan_match === null) reasons.push('gst_embedded_pan_no_record');
+    else if (checks.embedded_pan_match < 0.6) reasons.push('gst_embedded_pan_name_mismatch');
+  }
   if (checks.db_match_score === 1.0) reasons.push('exact_db_match');
   else if (checks.db_match_score > 0) reasons.push(`fuzzy_db_match_score_${(checks.db_match_score).toFixed(2)}`);
   if (checks.ocr_confidence && checks.ocr_confidence < 0.6) reasons.push('low_ocr_confidence');
@@ -4,6 +4,7 @@ import Verification from '../models/Verification.js';
 import { exactLookupById, fuzzyLookupByNameDob } from '../services/matchingService.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
 import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
+import { checkCompanyId, decodeCompanyId } from '../utils/idValidators.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -17,8 +18,23 @@ export async function verifyIncorpHandler(req, res) {
     const verification_id = `ver-${uuidv4()}`;
     const checks = { format_check: 0, db_match_score: 0, ocr_confidence: (ocr_confidence ?? 0) };
 
-    // Basic format check for reg_no if provided
-    if (reg_no) {
+    // Companies and LLPs must carry a well-formed CIN / LLPIN whose embedded year, state and class
+    // agree with the certificate; other entities (societies, trusts, firms) keep the basic check
+    let idCheck = null;
+    if (reg_no && (COMPANY_ENTITY_TYPES.includes(entity_type) || decodeCompanyId(reg_no))) {
+      idCheck = checkCompanyId(reg_no, { entity_type, date_of_incorporation, registered_office_address });
+      checks.cin_structure = idCheck.structure_ok ? 1 : 0;
+      checks.cin_year_match = toScore(idCheck.year_match);
+      checks.cin_state_match = toScore(idCheck.state_match);
+      checks.cin_class_match = toScore(idCheck.class_match);
+
+      let format = idCheck.structure_ok ? 1 : 0;
+      if (idCheck.year_match === false) format *= 0.5;
+      if (idCheck.state_match === false) format *= 0.7;
+      if (idCheck.class_match === false) format *= 0.6;
+      if (idCheck.reasons.includes('cin_listing_class_inconsistent')) format *= 0.6;
+      checks.format_check = Number(format.toFixed(4));
+    } else if (reg_no) {
       // Basic heuristic: alphanumeric, length between 6 and 30
       const cleaned = reg_no.toString().trim();
       if (/^[A-Za-z0-9\-\/\s]{6,40}$/.test(cleaned)) checks.format_check = 1;
@@ -81,7 +97,7 @@ export async function verifyIncorpHandler(req, res) {
       matched_record_id: matchedRecord?.record?._id ?? null,
       final_confidence,
       status,
-      reasons: buildReasons(checks, matchedRecord)
+      reasons: buildReasons(checks, matchedRecord, idCheck)
     });
 
     // Response shape - mask sensitive fields
@@ -108,9 +124,14 @@ export async function verifyIncorpHandler(req, res) {
   }
 }
 
-function buildReasons(checks, matchedRecord) {
+const COMPANY_ENTITY_TYPES = ['Private Limited', 'Public Limited', 'OPC', 'LLP'];
+
+const toScore = m => (m === null ? null : (m ? 1 : 0));
+
+function buildReasons(checks, matchedRecord, idCheck) {
   const reasons = [];
   if (checks.format_check === 1) reasons.push('regno_format_ok');
+  if (idCheck) reasons.push(...idCheck.reasons);
   if (checks.db_match_score === 1.0) reasons.push('exact_db_match');
   else if (checks.db_match_score > 0) reasons.push(`fuzzy_db_match_score_${(checks.db_match_score).toFixed(2)}`);
   if (checks.ocr_confidence && checks.ocr_confidence < 0.6) reasons.push('low_ocr_confidence');
@@ -1,10 +1,10 @@
 // src/controllers/verifyLeaseController.js
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
-import { normalizeName, normalizeId, sha256Hex } from '../utils/hash.js';
+import { normalizeId, sha256Hex } from '../utils/hash.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
 import { v4 as uuidv4 } from 'uuid';
-import levenshtein from 'fast-levenshtein';
+import { findBestMatch } from '../services/matchingService.js';
 
 /**
  * POST /api/verify/lease
@@ -55,38 +55,11 @@ export async function verifyLeaseHandler(req, res) {
 
     // If no exact match, fuzzy lookup: search by premises_address & names
     if (!matchedRecord) {
-      // Basic query: doc_type + address regex or partial match
-      const addrNorm = premises_address.toLowerCase().trim();
-      const candidates = await AuthoritativeRecord.find({ doc_type: 'LEASE', address: { $regex: addrNorm.split(' ').slice(0,4).join(' '), $options: 'i' } }).limit(200).lean();
-
-      // If no candidates by regex, broaden to same doc_type
-      let effectiveCandidates = candidates && candidates.length ? candidates : await AuthoritativeRecord.find({ doc_type: 'LEASE' }).limit(200).lean();
-
-      // Score candidates by name & address similarity
-      const lessorCanon = normalizeName(lessor_name);
-      const lesseeCanon = normalizeName(lessee_name);
-      const scored = effectiveCandidates.map(c => {
-        const candAddr = (c.address || '').toLowerCase();
-        const candLessor = c.canonical_name || (c.raw && c.raw.lessor_name) || '';
-        // compute name similarity (lessor) and address similarity
-        const nameDist = levenshtein.get(lessorCanon, normalizeName(candLessor || ''));
-        const nameMax = Math.max(lessorCanon.length, (candLessor||'').length, 1);
-        const nameSim = 1 - (nameDist / nameMax);
-
-        const addrDist = levenshtein.get(addrNorm, candAddr || '');
-        const addrMax = Math.max(addrNorm.length, (candAddr||'').length, 1);
-        const addrSim = 1 - (addrDist / addrMax);
-
-        // weighted similarity: address heavier for leases
-        const combined = (0.6 * addrSim) + (0.4 * nameSim);
-        return { record: c, score: combined };
-      });
-
-      scored.sort((a,b) => b.score - a.score);
-      const best = scored[0];
-      if (best && best.score >= 0.60) {
-        matchedRecord = { record: best.record, match_type: 'fuzzy_address_name', score: best.score };
-        checks.db_match_score = best.score;
+      // address weighs more than the lessor name for leases
+      const fuzzy = await findBestMatch('LEASE', { address: premises_address, name: lessor_name });
+      if (fuzzy) {
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
       }
     }
 
@@ -120,7 +93,8 @@ export async function verifyLeaseHandler(req, res) {
         record_id: matchedRecord.record._id,
         match_type: matchedRecord.match_type,
         id_masked: matchedRecord.record.id_masked || null,
-        address: matchedRecord.record.address || null
+        address: matchedRecord.record.address || null,
+        field_scores: matchedRecord.field_scores || null
       } : null,
       reasons: verDoc.reasons,
       timestamp: verDoc.created_at
@@ -2,7 +2,7 @@
 import AuthoritativeRecord from "../models/AuthoritativeRecord.js";
 import Verification from "../models/Verification.js";
 import { computeFinalConfidence, decideStatus } from "../services/scoringService.js";
-import levenshtein from "fast-levenshtein";
+import { findBestMatch } from "../services/matchingService.js";
 import { v4 as uuidv4 } from "uuid";
 
 /**
@@ -54,26 +54,6 @@ export async function verifyLoanLicenseHandler(req, res) {
       return await AuthoritativeRecord.findOne(q).lean();
     }
 
-    // Helper: fuzzy search by name (returns best candidate with score)
-    async function fuzzyLookupByName(docTypes, name, opt = {}) {
-      if (!name) return null;
-      const types = Array.isArray(docTypes) ? docTypes : [docTypes];
-      const candidates = await AuthoritativeRecord.find({ doc_type: { $in: types } }).limit(500).lean();
-      if (!candidates || candidates.length === 0) return null;
-      const nameCanon = name.toString().toLowerCase().trim();
-      const scored = candidates.map(c => {
-        const cand = (c.canonical_name || (c.raw && c.raw.name) || "").toString().toLowerCase();
-        const dist = levenshtein.get(nameCanon, cand);
-        const maxLen = Math.max(nameCanon.length, cand.length, 1);
-        const sim = 1 - (dist / maxLen);
-        return { record: c, score: sim };
-      });
-      scored.sort((a,b) => b.score - a.score);
-      const best = scored[0];
-      if (best && best.score >= (opt.threshold || 0.62)) return best;
-      return null;
-    }
-
     // 1) Applicant incorporation (exact by incorporation_no)
     if (applicant_incorporation_no) {
       const rec = await exactLookupByField("INCORP", "registration_no", applicant_incorporation_no);
@@ -92,7 +72,7 @@ export async function verifyLoanLicenseHandler(req, res) {
       if (rec) { components.agreement.matched = true; components.agreement.score = 1; components.agreement.record = rec; }
     }
     if (!components.agreement.matched && agreement_title) {
-      const fuzzy = await fuzzyLookupByName("LOAN_AGREEMENT", agreement_title, { threshold: 0.58 });
+      const fuzzy = await findBestMatch("LOAN_AGREEMENT", { name: agreement_title });
       if (fuzzy) { components.agreement.matched = true; components.agreement.score = fuzzy.score; components.agreement.record = fuzzy.record; }
     }
 
@@ -125,7 +105,7 @@ export async function verifyLoanLicenseHandler(req, res) {
     }
     if (productMatches === 0 && (product_names || []).length > 0) {
       for (const name of product_names) {
-        const fuzzy = await fuzzyLookupByName("PRODUCT_DOSSIER", name, { threshold: 0.65 });
+        const fuzzy = await findBestMatch("PRODUCT_DOSSIER", { name });
         if (fuzzy) { productMatches++; components.products.records.push(fuzzy.record); }
       }
     }
@@ -141,7 +121,7 @@ export async function verifyLoanLicenseHandler(req, res) {
     }
     if (techMatched === 0 && (tech_staff_names || []).length) {
       for (const name of tech_staff_names) {
-        const fuzzy = await fuzzyLookupByName(["TECH_CERT","PROMOTER_KYC","PAN"], name, { threshold: 0.64 });
+        const fuzzy = await findBestMatch("PRACTITIONER", { name }, { threshold: 0.64 });
         if (fuzzy) { techMatched++; components.tech_staff.records.push(fuzzy.record); }
       }
     }
@@ -0,0 +1,221 @@
+// src/controllers/verifyManufacturingController.js
+import AuthoritativeRecord from "../models/AuthoritativeRecord.js";
+import Verification from "../models/Verification.js";
+import { computeFinalConfidence, decideStatus } from "../services/scoringService.js";
+import { v4 as uuidv4 } from "uuid";
+
+// qualification expected on TECH_CERT records for the competent technical staff of each sector
+const SECTOR_QUALIFICATIONS = {
+  AYURVEDA: ["BAMS", "MD (AYU)"],
+  UNANI: ["BUMS", "MD (UNANI)"],
+  SIDDHA: ["BSMS", "MD (SIDDHA)"],
+  HOMOEOPATHY: ["BHMS", "MD (HOM)"],
+  YOGA_NATURO: ["BNYS"]
+};
+
+/**
+ * Requirements per license_type, with per-sector overrides.
+ * OWN_UNIT manufactures on its own premises, so premises (lease), GMP, staff and NOCs are mandatory;
+ * LOAN_LICENSE uses a contract manufacturer's facility, so those become optional.
+ */
+const BASE_REQUIREMENTS = {
+  OWN_UNIT: { incorporation: true, gst: false, lease: true, gmp: true, products: true, tech_staff: true, nocs: true, min_tech_staff: 1, required_nocs: ["FIRE_NOC", "POLLUTION_NOC"] },
+  LOAN_LICENSE: { incorporation: true, gst: true, lease: false, gmp: false, products: true, tech_staff: false, nocs: false, min_tech_staff: 0, required_nocs: [] }
+};
+const SECTOR_OVERRIDES = {
+  AYURVEDA: { OWN_UNIT: { min_tech_staff: 2 } },
+  UNANI: { OWN_UNIT: { min_tech_staff: 2 } },
+  SIDDHA: { OWN_UNIT: { min_tech_staff: 2 } },
+  // homoeopathic units handling mother tinctures need a bio-medical waste authorisation too
+  HOMOEOPATHY: { OWN_UNIT: { required_nocs: ["FIRE_NOC", "POLLUTION_NOC", "BIO_NOC"] } }
+};
+
+function requirementsFor(sector, licenseType) {
+  return { ...BASE_REQUIREMENTS[licenseType], ...(SECTOR_OVERRIDES[sector]?.[licenseType] || {}) };
+}
+
+/**
+ * POST /api/verify/manufacturing-license
+ *
+ * Resolves every referenced id_hash against AuthoritativeRecord and scores the bundle
+ * component-wise (same scheme as the loan-license verifier).
+ */
+export async function verifyManufacturingHandler(req, res) {
+  try {
+    const { request_id, submitted_by, extracted } = req.body;
+    const {
+      sector, license_type,
+      inc_id_hash, gst_id_hash, lease_id_hash, gmp_id_hash,
+      tech_staff_ids = [], product_id_hashes = [], noc_id_hashes = [],
+      bundle_ocr_confidence
+    } = extracted;
+
+    const verification_id = `ver-${uuidv4()}`;
+    const reqs = requirementsFor(sector, license_type);
+
+    const components = {
+      incorporation: { required: reqs.incorporation, matched: false, score: 0, record: null },
+      gst: { required: reqs.gst, matched: false, score: 0, record: null },
+      lease: { required: reqs.lease, matched: false, score: 0, record: null },
+      gmp: { required: reqs.gmp, matched: false, score: 0, record: null },
+      products: { required: reqs.products, matched: false, score: 0, matched_count: 0, records: [] },
+      tech_staff: { required: reqs.tech_staff, matched: false, score: 0, matched_count: 0, records: [] },
+      nocs: { required: reqs.nocs, matched: false, score: 0, matched_count: 0, records: [], missing: [] }
+    };
+
+    // Helper: exact lookup by id_hash within the allowed doc types
+    async function lookupByHash(docTypes, idHash) {
+      if (!idHash) return null;
+      const types = Array.isArray(docTypes) ? docTypes : [docTypes];
+      return await AuthoritativeRecord.findOne({ doc_type: { $in: types }, id_hash: idHash }).lean();
+    }
+
+    async function lookupManyByHash(docTypes, idHashes) {
+      if (!idHashes || idHashes.length === 0) return [];
+      const types = Array.isArray(docTypes) ? docTypes : [docTypes];
+      return await AuthoritativeRecord.find({ doc_type: { $in: types }, id_hash: { $in: idHashes } }).lean();
+    }
+
+    // 1) Single-record components
+    const singles = [
+      ["incorporation", "INCORP", inc_id_hash],
+      ["gst", "GST", gst_id_hash],
+      ["lease", "LEASE", lease_id_hash],
+      ["gmp", "GMP", gmp_id_hash]
+    ];
+    for (const [key, docType, idHash] of singles) {
+      const rec = await lookupByHash(docType, idHash);
+      if (rec) { components[key].matched = true; components[key].score = 1; components[key].record = rec; }
+    }
+
+    // GMP past its validity counts as half a match
+    if (components.gmp.record?.raw?.valid_upto && new Date(components.gmp.record.raw.valid_upto) < new Date()) {
+      components.gmp.score = 0.5;
+      components.gmp.expired = true;
+    }
+
+    // 2) Products: every referenced dossier should resolve
+    const productRecs = await lookupManyByHash("PRODUCT_DOSSIER", product_id_hashes);
+    components.products.records = productRecs;
+    components.products.matched_count = productRecs.length;
+    components.products.score = product_id_hashes.length ? productRecs.length / product_id_hashes.length : 0;
+    components.products.matched = productRecs.length >= 1;
+
+    // 3) Technical staff: only staff qualified for this sector count towards the minimum
+    const staffRecs = await lookupManyByHash(["TECH_CERT", "PROMOTER_KYC"], tech_staff_ids);
+    const qualifications = SECTOR_QUALIFICATIONS[sector] || [];
+    const qualified = staffRecs.filter(r => {
+      if (r.doc_type !== "TECH_CERT") return false;
+      const q = (r.raw?.qualification || "").toString().toUpperCase();
+      return qualifications.some(x => q.includes(x));
+    });
+    components.tech_staff.records = staffRecs;
+    components.tech_staff.matched_count = qualified.length;
+    const minStaff = Math.max(1, reqs.min_tech_staff);
+    components.tech_staff.score = Math.min(1, qualified.length / minStaff);
+    components.tech_staff.matched = qualified.length >= minStaff;
+
+    // 4) NOCs: check each required NOC type is present among the resolved records
+    const nocRecs = await lookupManyByHash(["FIRE_NOC", "POLLUTION_NOC", "BIO_NOC"], noc_id_hashes);
+    const nocTypesFound = new Set(nocRecs.map(r => r.doc_type));
+    components.nocs.records = nocRecs;
+    components.nocs.matched_count = nocRecs.length;
+    components.nocs.missing = reqs.required_nocs.filter(t => !nocTypesFound.has(t));
+    if (reqs.required_nocs.length) {
+      components.nocs.score = (reqs.required_nocs.length - components.nocs.missing.length) / reqs.required_nocs.length;
+      components.nocs.matched = components.nocs.missing.length === 0;
+    } else {
+      components.nocs.score = nocRecs.length ? 1 : 0;
+      components.nocs.matched = nocRecs.length > 0;
+    }
+
+    // 5) Compose DB score: required components carry their full weight, optional ones a quarter of it
+    const baseWeights = { incorporation: 0.2, gst: 0.1, lease: 0.15, gmp: 0.2, products: 0.15, tech_staff: 0.1, nocs: 0.1 };
+    let rawDb = 0;
+    let weightSum = 0;
+    for (const [key, w] of Object.entries(baseWeights)) {
+      const c = components[key];
+      const weight = c.required ? w : w * 0.25;
+      // an absent optional component should not drag the score down
+      if (!c.required && !c.matched) continue;
+      rawDb += (c.score || 0) * weight;
+      weightSum += weight;
+    }
+    const normalized_db_score = weightSum ? rawDb / weightSum : 0;
+
+    // Format check: all required components resolved
+    const essentialOk = Object.values(components).every(c => !c.required || c.matched);
+    const format_check = essentialOk ? 1 : 0.25;
+
+    const final_confidence = computeFinalConfidence({
+      db_match_score: normalized_db_score,
+      format_check,
+      ocr_confidence: bundle_ocr_confidence ?? 0
+    });
+    const status = decideStatus(final_confidence);
+
+    // Persist
+    const verDoc = await Verification.create({
+      verification_id,
+      request_id,
+      submitted_by,
+      doc_type: "MANUFACTURING_LICENSE",
+      extracted,
+      checks: { db_score: normalized_db_score, format_check, ocr_confidence: bundle_ocr_confidence ?? 0 },
+      final_confidence,
+      status,
+      reasons: buildReasons(components, sector, license_type, normalized_db_score, final_confidence)
+    });
+
+    const response = {
+      verification_id,
+      status,
+      final_confidence: Number(final_confidence.toFixed(4)),
+      db_score: Number(normalized_db_score.toFixed(4)),
+      sector,
+      license_type,
+      components: mapComponentsForResponse(components),
+      reasons: verDoc.reasons,
+      timestamp: verDoc.created_at
+    };
+
+    return res.status(200).json(response);
+  } catch (err) {
+    console.error("verifyManufacturingHandler error", err);
+    return res.status(500).json({ error: "internal_server_error" });
+  }
+}
+
+function buildReasons(components, sector, licenseType, dbScore, finalConfidence) {
+  const reasons = [`license_type_${licenseType.toLowerCase()}`];
+  for (const [key, c] of Object.entries(components)) {
+    if (c.required && !c.matched) reasons.push(`missing_${key}`);
+  }
+  if (components.gmp.expired) reasons.push("gmp_expired");
+  if (components.tech_staff.required && !components.tech_staff.matched) reasons.push(`insufficient_${sector.toLowerCase()}_qualified_staff`);
+  for (const t of components.nocs.missing) reasons.push(`missing_${t.toLowerCase()}`);
+  reasons.push(`db_score_${dbScore.toFixed(3)}`);
+  reasons.push(`final_confidence_${finalConfidence.toFixed(3)}`);
+  return reasons;
+}
+
+function mapComponentsForResponse(components) {
+  const out = {};
+  for (const k of Object.keys(components)) {
+    const c = components[k];
+    out[k] = {
+      required: c.required,
+      matched: !!c.matched,
+      score: Number((c.score || 0).toFixed(3)),
+      matched_count: c.matched_count ?? (c.matched ? 1 : 0),
+      records: (c.records || (c.record ? [c.record] : [])).map(r => r ? {
+        record_id: r._id,
+        doc_type: r.doc_type,
+        id_masked: r.id_masked || r.raw?.certificate_no || r.raw?.registration_no || null,
+        canonical_name: r.canonical_name || (r.raw && (r.raw.name || r.raw.product_name)) || null
+      } : null)
+    };
+    if (c.missing) out[k].missing = c.missing;
+  }
+  return out;
+}
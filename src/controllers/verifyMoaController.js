@@ -1,9 +1,9 @@
 // src/controllers/verifyMoaController.js
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
-import { exactLookupById, fuzzyLookupByNameDob } from '../services/matchingService.js';
+import { exactLookupById, fuzzyLookupByNameDob, nameSimilarity } from '../services/matchingService.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
-import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
+import { normalizeId, sha256Hex } from '../utils/hash.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -143,10 +143,9 @@ export async function verifyMoaHandler(req, res) {
       }
       // else check if name equals any director matched record with high score
       if (!authMatch && authorized_signatory.name) {
-        const authNameNorm = normalizeName(authorized_signatory.name);
         for (const ds of directorScores) {
           const recName = ds.matched?.record?.canonical_name || (ds.input && ds.input.name) || '';
-          if (recName && normalizeName(recName) === authNameNorm && (ds.score >= 0.9 || ds.score === 1.0)) {
+          if (recName && nameSimilarity(recName, authorized_signatory.name) >= 0.9 && (ds.score >= 0.9 || ds.score === 1.0)) {
             authMatch = 1.0;
             break;
           }
@@ -1,9 +1,9 @@
 // src/controllers/verifyNocController.js
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
-import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
+import { normalizeId, sha256Hex } from '../utils/hash.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
-import levenshtein from 'fast-levenshtein';
+import { findBestMatch } from '../services/matchingService.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -46,10 +46,10 @@ export async function verifyNocHandler(req, res) {
 
     // Fuzzy fallback: authority_name + address similarity
     if (!matchedRecord && authority_name) {
-      const fuzzy = await fuzzyLookupNoc(doc_type, authority_name, address);
+      const fuzzy = await findBestMatch('NOC', { authority: authority_name, address }, { doc_types: [doc_type] });
       if (fuzzy) {
-        matchedRecord = { record: fuzzy.record, match_type: 'fuzzy_authority_address', score: fuzzy.score };
-        checks.db_match_score = fuzzy.score || 0;
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
       }
     }
 
@@ -85,7 +85,8 @@ export async function verifyNocHandler(req, res) {
         match_type: matchedRecord.match_type,
         id_masked: matchedRecord.record.id_masked || null,
         authority_name: matchedRecord.record.canonical_name || null,
-        valid_upto: matchedRecord.record.valid_upto || null
+        valid_upto: matchedRecord.record.valid_upto || null,
+        field_scores: matchedRecord.field_scores || null
       } : null,
       reasons: verDoc.reasons,
       timestamp: verDoc.created_at
@@ -98,51 +99,6 @@ export async function verifyNocHandler(req, res) {
   }
 }
 
-/**
- * fuzzyLookupNoc: search AuthoritativeRecord for given docType by authority_name and optional address
- * returns {record, score} or null
- */
-async function fuzzyLookupNoc(docType, authorityName, address) {
-  const canonical = normalizeName(authorityName || '');
-  const query = { doc_type: docType };
-  if (address) {
-    // try to filter by address words for better candidates
-    const addrFrag = address.toString().trim().split(/\s+/).slice(0,4).join(' ');
-    query.address = { $regex: addrFrag, $options: 'i' };
-  }
-
-  let candidates = await AuthoritativeRecord.find(query).limit(200).lean();
-  if (!candidates || candidates.length === 0) {
-    // broaden search to all same doc_type
-    candidates = await AuthoritativeRecord.find({ doc_type: docType }).limit(200).lean();
-  }
-  if (!candidates || candidates.length === 0) return null;
-
-  const scored = candidates.map(c => {
-    const candName = c.canonical_name || (c.raw && c.raw.authority_name) || '';
-    const nameDist = levenshtein.get(canonical, normalizeName(candName || ''));
-    const nameMax = Math.max(canonical.length, (candName||'').length, 1);
-    const nameSim = 1 - (nameDist / nameMax);
-
-    let addrSim = 0;
-    if (address && c.address) {
-      const addrDist = levenshtein.get(address.toString().toLowerCase(), (c.address||'').toLowerCase());
-      const addrMax = Math.max(address.length, (c.address||'').length, 1);
-      addrSim = 1 - (addrDist / addrMax);
-    }
-    // choose weights: authority name 0.7, address 0.3
-    const combined = (0.7 * nameSim) + (0.3 * addrSim);
-    return { record: c, score: combined };
-  });
-
-  scored.sort((a,b) => b.score - a.score);
-  const best = scored[0];
-  if (best && best.score >= 0.60) return { record: best.record, score: best.score };
-  return null;
-}
-
-
-
 function buildReasons(checks, matchedRecord) {
   const reasons = [];
   if (checks.format_check === 1) reasons.push('cert_format_ok');
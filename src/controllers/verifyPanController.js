@@ -4,6 +4,7 @@ import { computeFinalConfidence, decideStatus } from '../services/scoringService
 import Verification from '../models/Verification.js';
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import { normalizeId, sha256Hex } from '../utils/hash.js';
+import { checkPanConsistency } from '../utils/idValidators.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -13,13 +14,25 @@ import { v4 as uuidv4 } from 'uuid';
 export async function verifyPanHandler(req, res) {
   try {
     const { request_id, submitted_by, extracted } = req.body;
-    const { pan, id_hash: client_hash, name, dob, ocr_confidence } = extracted;
+    const { pan, id_hash: client_hash, name, dob, holder_type, ocr_confidence } = extracted;
 
     const verification_id = `ver-${uuidv4()}`;
     const checks = { format_check: 0, db_match_score: 0, ocr_confidence: (ocr_confidence ?? 0) };
 
-    // Format check (if pan provided)
-    if (pan && /^[A-Z]{5}[0-9]{4}[A-Z]$/.test(pan)) checks.format_check = 1;
+    // Format check (if pan provided), then decode 4th (holder type) / 5th (name initial) characters
+    let panCheck = null;
+    if (pan && /^[A-Z]{5}[0-9]{4}[A-Z]$/.test(pan)) {
+      panCheck = checkPanConsistency(pan, { name, expected_holder: holder_type });
+      checks.pan_holder_type = panCheck.decoded.holder_type;
+      checks.pan_name_initial_match = panCheck.name_initial_match;
+      if (!panCheck.decoded.holder_type) checks.format_check = 0;
+      else {
+        checks.format_check = 1;
+        // each inconsistency halves the structural score
+        if (panCheck.name_initial_match === false) checks.format_check *= 0.5;
+        if (panCheck.holder_type_match === false) checks.format_check *= 0.5;
+      }
+    }
 
     // Exact lookup path
     let matchedRecord = null;
@@ -63,7 +76,7 @@ export async function verifyPanHandler(req, res) {
       matched_record_id: matchedRecord?.record?._id ?? null,
       final_confidence,
       status,
-      reasons: buildReasons(checks, matchedRecord)
+      reasons: buildReasons(checks, matchedRecord, panCheck)
     });
 
     // Response (mask sensitive fields)
@@ -88,9 +101,10 @@ export async function verifyPanHandler(req, res) {
   }
 }
 
-function buildReasons(checks, matchedRecord) {
+function buildReasons(checks, matchedRecord, panCheck) {
   const reasons = [];
-  if (checks.format_check) reasons.push('pan_format_ok');
+  if (checks.format_check === 1) reasons.push('pan_format_ok');
+  if (panCheck) reasons.push(...panCheck.reasons);
   if (checks.db_match_score === 1.0) reasons.push('exact_db_match');
   else if (checks.db_match_score > 0) reasons.push(`fuzzy_db_match_score_${(checks.db_match_score).toFixed(2)}`);
   if (checks.ocr_confidence && checks.ocr_confidence < 0.6) reasons.push('low_ocr_confidence');
@@ -2,8 +2,9 @@
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
-import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
-import levenshtein from 'fast-levenshtein';
+import { normalizeId, sha256Hex } from '../utils/hash.js';
+import { findBestMatch, nameSimilarity } from '../services/matchingService.js';
+import { parseTd3 } from '../utils/mrz.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -14,7 +15,7 @@ export async function verifyPassportHandler(req, res) {
     const { request_id, submitted_by, extracted } = req.body;
     let {
       passport_no_masked, passport_no, id_hash: client_hash,
-      name, dob, nationality, gender, issue_date, expiry_date, place_of_issue, ocr_confidence
+      name, dob, nationality, gender, issue_date, expiry_date, place_of_issue, mrz, ocr_confidence
     } = extracted;
 
     const verification_id = `ver-${uuidv4()}`;
@@ -38,6 +39,16 @@ export async function verifyPassportHandler(req, res) {
       checks.date_validity = 0.5; // unknown
     }
 
+    // MRZ (TD3): check digits + agreement with the visually extracted fields
+    let mrzResult = null;
+    if (mrz) {
+      mrzResult = compareMrz(parseTd3(mrz), { passport_no, passport_no_masked, name, dob, nationality, gender, expiry_date });
+      checks.mrz_check_digits = mrzResult.check_score;
+      checks.mrz_consistency = mrzResult.consistency_score;
+      // a number whose check digit verifies is as good as a submitted passport_no for lookup
+      if (!passport_no && mrzResult.parsed?.check_digits.document_number) passport_no = mrzResult.parsed.document_number;
+    }
+
     // Exact lookup: prefer client-supplied id_hash (sha256 of normalized passport_no)
     let matchedRecord = null;
     if (client_hash) {
@@ -60,41 +71,18 @@ export async function verifyPassportHandler(req, res) {
 
     // Fuzzy fallback: name + dob (strong signal) + nationality optionally
     if (!matchedRecord && name) {
-      // prefer searching PASSPORT or PROMOTER_KYC
-      const candidates = await AuthoritativeRecord.find({ doc_type: { $in: ['PASSPORT', 'PROMOTER_KYC'] } }).limit(500).lean();
-      if (candidates && candidates.length) {
-        const nameCanon = normalizeName(name);
-        const scored = candidates.map(c => {
-          const candName = c.canonical_name || (c.raw && c.raw.name) || '';
-          const nameDist = levenshtein.get(nameCanon, normalizeName(candName || ''));
-          const nameMax = Math.max(nameCanon.length, (candName||'').length, 1);
-          const nameSim = 1 - (nameDist / nameMax);
-          // dob exact match boost
-          let dobBoost = 0;
-          if (dob && c.dob) {
-            try {
-              if (new Date(dob).toISOString().slice(0,10) === new Date(c.dob).toISOString().slice(0,10)) dobBoost = 0.25;
-            } catch (e) { /* ignore */ }
-          }
-          // nationality match small boost
-          let natBoost = 0;
-          if (nationality && (c.raw && c.raw.nationality)) {
-            if (nationality.toLowerCase() === String(c.raw.nationality).toLowerCase()) natBoost = 0.1;
-          }
-          const score = Math.min(1, nameSim + dobBoost + natBoost);
-          return { record: c, score };
-        });
-        scored.sort((a,b) => b.score - a.score);
-        const best = scored[0];
-        if (best && best.score >= 0.66) {
-          matchedRecord = { record: best.record, match_type: 'fuzzy_name_dob', score: best.score };
-          checks.db_match_score = best.score;
-        }
+      // searches PASSPORT and PROMOTER_KYC records
+      const fuzzy = await findBestMatch('PASSPORT', { name, dob, nationality });
+      if (fuzzy) {
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
       }
     }
 
-    // Composite format includes date_validity (expiry)
-    const compositeFormat = (checks.format_check + checks.date_validity) / 2;
+    // Composite format includes date_validity (expiry) and, when submitted, the MRZ scores
+    const formatParts = [checks.format_check, checks.date_validity];
+    if (mrzResult) formatParts.push(checks.mrz_check_digits, checks.mrz_consistency);
+    const compositeFormat = formatParts.reduce((a, b) => a + b, 0) / formatParts.length;
     const final_confidence = computeFinalConfidence({ db_match_score: checks.db_match_score, format_check: compositeFormat, ocr_confidence: checks.ocr_confidence });
     const status = decideStatus(final_confidence);
 
@@ -109,7 +97,7 @@ export async function verifyPassportHandler(req, res) {
       matched_record_id: matchedRecord?.record?._id ?? null,
       final_confidence,
       status,
-      reasons: buildReasons(checks, matchedRecord)
+      reasons: buildReasons(checks, matchedRecord, mrzResult)
     });
 
     // Response (mask sensitive values)
@@ -124,7 +112,8 @@ export async function verifyPassportHandler(req, res) {
         id_masked: matchedRecord.record.id_masked || null,
         name: matchedRecord.record.canonical_name || null,
         nationality: matchedRecord.record.raw?.nationality || null,
-        expiry_date: matchedRecord.record.expiry_date || null
+        expiry_date: matchedRecord.record.expiry_date || null,
+        field_scores: matchedRecord.field_scores || null
       } : null,
       reasons: verDoc.reasons,
       timestamp: verDoc.created_at
@@ -137,10 +126,60 @@ export async function verifyPassportHandler(req, res) {
   }
 }
 
+// MRZ nationality codes whose printed nationality differs from the code
+const NATIONALITY_NAMES = {
+  IND: ['INDIA', 'INDIAN'], NPL: ['NEPAL', 'NEPALESE', 'NEPALI'], BGD: ['BANGLADESH', 'BANGLADESHI'],
+  LKA: ['SRI LANKA', 'SRI LANKAN'], USA: ['UNITED STATES', 'AMERICAN'], GBR: ['UNITED KINGDOM', 'BRITISH'],
+  D: ['GERMANY', 'GERMAN', 'DEU']
+};
+
+const isoDay = d => {
+  const date = new Date(d);
+  return isNaN(date) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Check digits of a parsed MRZ and its agreement with the visual zone.
+ * Returns { parsed, check_score, consistency_score, reasons }.
+ */
+function compareMrz(parsed, visual) {
+  if (!parsed) return { parsed: null, check_score: 0, consistency_score: 0, reasons: ['mrz_unparsable'] };
+  const reasons = [];
+
+  const digits = Object.entries(parsed.check_digits);
+  for (const [field, ok] of digits) if (!ok) reasons.push(`mrz_check_digit_failed_${field}`);
+  const check_score = digits.filter(([, ok]) => ok).length / digits.length;
+
+  // only fields present on both sides are compared
+  const comparisons = [];
+  if (visual.passport_no) {
+    comparisons.push(['passport_no', visual.passport_no.toUpperCase() === parsed.document_number]);
+  } else if (visual.passport_no_masked) {
+    // compare the unmasked tail, e.g. "*****4567"
+    const tail = visual.passport_no_masked.toUpperCase().match(/[A-Z0-9]+$/)?.[0] || '';
+    if (tail) comparisons.push(['passport_no', parsed.document_number.endsWith(tail)]);
+  }
+  if (visual.dob && parsed.dob) comparisons.push(['dob', isoDay(visual.dob) === parsed.dob]);
+  if (visual.expiry_date && parsed.expiry_date) comparisons.push(['expiry', isoDay(visual.expiry_date) === parsed.expiry_date]);
+  if (visual.gender) comparisons.push(['gender', visual.gender === parsed.sex]);
+  if (visual.nationality && parsed.nationality) {
+    const v = visual.nationality.toString().trim().toUpperCase();
+    comparisons.push(['nationality', v === parsed.nationality || (NATIONALITY_NAMES[parsed.nationality] || []).includes(v)]);
+  }
+  if (visual.name && parsed.name) comparisons.push(['name', nameSimilarity(visual.name, parsed.name) >= 0.85]);
 
+  for (const [field, ok] of comparisons) if (!ok) reasons.push(`mrz_${field}_mismatch`);
+  const consistency_score = comparisons.length ? comparisons.filter(([, ok]) => ok).length / comparisons.length : 0;
 
-function buildReasons(checks, matchedRecord) {
+  return { parsed, check_score: Number(check_score.toFixed(4)), consistency_score: Number(consistency_score.toFixed(4)), reasons };
+}
+
+function buildReasons(checks, matchedRecord, mrzResult) {
   const reasons = [];
+  if (mrzResult) {
+    if (mrzResult.reasons.length === 0) reasons.push('mrz_consistent');
+    reasons.push(...mrzResult.reasons);
+  }
   if (checks.format_check === 1) reasons.push('passport_fields_present');
   if (checks.date_validity === 1) reasons.push('passport_not_expired');
   else if (checks.date_validity === 0.5) reasons.push('passport_expiry_unknown');
@@ -2,8 +2,8 @@
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
-import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
-import levenshtein from 'fast-levenshtein';
+import { normalizeId, sha256Hex } from '../utils/hash.js';
+import { findBestMatch } from '../services/matchingService.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -46,10 +46,10 @@ export async function verifyProductHandler(req, res) {
 
     // Fuzzy fallback on product_name
     if (!matchedRecord && product_name) {
-      const candidate = await fuzzyLookupProduct(product_name);
-      if (candidate) {
-        matchedRecord = { record: candidate.record, match_type: 'fuzzy_name', score: candidate.score };
-        checks.db_match_score = candidate.score || 0;
+      const fuzzy = await findBestMatch('PRODUCT_DOSSIER', { name: product_name });
+      if (fuzzy) {
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
       }
     }
 
@@ -83,7 +83,8 @@ export async function verifyProductHandler(req, res) {
         match_type: matchedRecord.match_type,
         id_masked: matchedRecord.record.id_masked || matchedRecord.record.product_code || null,
         product_name: matchedRecord.record.product_name || matchedRecord.record.canonical_name || null,
-        category: matchedRecord.record.category || null
+        category: matchedRecord.record.category || null,
+        field_scores: matchedRecord.field_scores || null
       } : null,
       reasons: verDoc.reasons,
       timestamp: verDoc.created_at
@@ -96,26 +97,6 @@ export async function verifyProductHandler(req, res) {
   }
 }
 
-async function fuzzyLookupProduct(productName) {
-  const canonical = normalizeName(productName || '');
-  const candidates = await AuthoritativeRecord.find({ doc_type: 'PRODUCT_DOSSIER' }).limit(500).lean();
-  if (!candidates || candidates.length === 0) return null;
-
-  const scored = candidates.map(c => {
-    const cand = c.product_name || c.canonical_name || (c.raw && c.raw.product_name) || '';
-    const dist = levenshtein.get(canonical, normalizeName(cand || ''));
-    const maxLen = Math.max(canonical.length, (cand||'').length, 1);
-    const similarity = 1 - (dist / maxLen);
-    return { record: c, score: similarity };
-  });
-
-  scored.sort((a,b) => b.score - a.score);
-  const best = scored[0];
-  if (best && best.score >= 0.65) return { record: best.record, score: best.score };
-  return null;
-}
-
-
 function buildReasons(checks, matchedRecord) {
   const reasons = [];
   if (checks.format_check === 1) reasons.push('dossier_fields_ok');
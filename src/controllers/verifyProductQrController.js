@@ -1,73 +1,116 @@
-import crypto from 'crypto';
-import {Jimp} from 'jimp';
-import QrCodeReader from 'qrcode-reader';
+import { verifyProductPayload } from '../services/productQrVerificationService.js';
+import { recordScan } from '../services/productScanService.js';
+import { decodePayload, extractPayload } from '../utils/productQr.js';
+import { decodeAllQrImages, decodeQrImage } from '../utils/qrImagePool.js';
 
-const PRODUCTS = {
-  "PROD-ASH-001": {
-    name: "Ashwagandha 60 caps",
-    sec_pass: "s3cr3tP@ssw0rd",
-    batch: "BATCH-202509"
-  },
-  
+// verification failure -> [http status, response field, client-facing message]
+const FAILURES = {
+  invalid_payload: [400, 'error', 'invalid payload'],
+  unknown_product: [400, 'error', 'unknown productId'],
+  product_inactive: [400, 'error', 'product inactive'],
+  unknown_batch: [400, 'error', 'unknown batch'],
+  batch_inactive: [400, 'error', 'batch inactive'],
+  unknown_key: [401, 'reason', 'unknown signing key'],
+  key_not_for_product: [401, 'reason', 'signing key not authorized for product'],
+  key_revoked: [401, 'reason', 'signing key revoked'],
+  key_expired: [401, 'reason', 'signing key expired'],
+  legacy_signature_rejected: [401, 'reason', 'legacy signature no longer accepted'],
+  signature_mismatch: [401, 'reason', 'signature mismatch'],
+  expired: [400, 'reason', 'expired'],
+  revoked: [400, 'reason', 'code revoked']
 };
 
-function canonicalString({ productId, batch = '', issuedAt = '', exp = '', nonce = '' }) {
-  return `${productId}|${batch}|${issuedAt}|${exp}|${nonce}`;
+function recallNotice(recall) {
+  return recall ? {
+    kind: recall.kind,
+    scope: recall.scope,
+    notice: recall.notice,
+    effective_at: recall.effective_at
+  } : null;
 }
 
-// Utility: compute HMAC-SHA256 base64 signature using secret
-function computeHmacBase64(secret, canonical) {
-  return crypto.createHmac('sha256', secret).update(canonical).digest('base64');
+// location/device hints arrive next to the image (multipart fields) or the payload (JSON)
+function scanContext(req) {
+  const { lat, lng, country, city, device } = req.body || {};
+  const location = lat !== undefined || country || city ? { lat, lng, country, city } : undefined;
+  return { location, device, client_id: req.client?.client_id };
 }
 
+// Shared by the image and JSON endpoints: QR text -> verification and scan log,
+// as { httpStatus, body } so one image can carry several results
+async function verifyQrContent(req, qrContent) {
+  const obj = decodePayload(extractPayload(qrContent));
+  if (!obj) return { httpStatus: 400, body: { ok: false, error: 'invalid payload or verification error' } };
+  const { productId, batch, issuedAt, exp, nonce } = obj;
+
+  const result = await verifyProductPayload(obj);
+  const scan = await recordScan(result, obj, scanContext(req));
+  if (!result.verified) {
+    const [httpStatus, field, message] = FAILURES[result.reason];
+    const body = { ok: false, verified: false, [field]: message };
+    if (result.reason === 'revoked') Object.assign(body, { status: 'revoked', recall: recallNotice(result.recall) });
+    return { httpStatus, body };
+  }
+
+  // the signature is genuine either way; status tells consumer apps whether to warn:
+  // recalled (notice in `recall`) > suspected_clone (printed code has been copied) > genuine
+  const body = {
+    ok: true,
+    verified: true,
+    status: result.recall ? 'recalled' : (scan.suspected_clone ? 'suspected_clone' : 'genuine'),
+    recall: recallNotice(result.recall),
+    suspected_clone: scan.suspected_clone,
+    clone_reasons: scan.clone_reasons,
+    scan_count: scan.scan_count,
+    total_scans: scan.total_scans,
+    product: { id: productId, name: result.product.name, batch },
+    meta: { issuedAt, exp, nonce, kid: result.kid, scheme: result.scheme }
+  };
+  return { httpStatus: 200, body };
+}
 
 export async function verifyProductQrHandler (req, res){
   try {
     if (!req.file) return res.status(400).json({ ok: false, error: 'image file required' });
 
-    const buffer = req.file.buffer;
-    const image = await Jimp.read(buffer);
-    const qr = new QrCodeReader();
-
-    qr.callback = function(err, value) {
-      if (err || !value) {
-        return res.status(400).json({ ok: false, error: 'QR decode failed' });
-      }
-      try {
-        const qrContent = value.result; // the base64 encoded JSON string we encoded earlier
-        // Reuse verify-payload logic by calling inline:
-        const decodedJson = Buffer.from(qrContent, 'base64').toString('utf8');
-        const obj = JSON.parse(decodedJson);
-        const { productId, batch, issuedAt, exp, nonce, sig } = obj;
-        if (!productId || !sig) return res.status(400).json({ ok: false, error: 'invalid payload' });
-
-        const product = PRODUCTS[productId];
-        if (!product) return res.status(400).json({ ok: false, error: 'unknown productId' });
-
-        const canonical = canonicalString({ productId, batch, issuedAt, exp, nonce });
-        const expectedSig = computeHmacBase64(product.sec_pass, canonical);
-        if (expectedSig !== sig) return res.status(401).json({ ok: false, verified: false, reason: 'signature mismatch' });
-
-        if (exp && Number(exp) > 0 && Date.now() > Number(exp)) {
-          return res.status(400).json({ ok: false, verified: false, reason: 'expired' });
-        }
-
-        return res.json({
-          ok: true,
-          verified: true,
-          product: { id: productId, name: product.name, batch },
-          meta: { issuedAt, exp, nonce }
-        });
-      } catch (e) {
-        console.error('verify error', e);
-        return res.status(400).json({ ok: false, error: 'invalid payload or verification error' });
+    // several codes in one photo (a shelf, a carton): one result per code, each with its
+    // own ok / http_status, and `pass` naming the preprocessing step that read it
+    if (req.body.multiple) {
+      const codes = await decodeAllQrImages(req.file.buffer);
+      if (!codes.length) return res.status(400).json({ ok: false, error: 'QR decode failed' });
+      const results = [];
+      for (const { text, pass } of codes) {
+        const { httpStatus, body } = await verifyQrContent(req, text);
+        results.push({ pass, http_status: httpStatus, ...body });
       }
-    };
+      return res.json({ ok: true, count: results.length, results });
+    }
 
-    // decode the image bitmap
-    qr.decode(image.bitmap);
+    let decoded;
+    try {
+      decoded = await decodeQrImage(req.file.buffer); // the base64 encoded JSON string we encoded earlier
+    } catch {
+      return res.status(400).json({ ok: false, error: 'QR decode failed' });
+    }
+    const { httpStatus, body } = await verifyQrContent(req, decoded.text);
+    return res.status(httpStatus).json({ ...body, decode: { pass: decoded.pass } });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ ok: false, error: 'server error' });
   }
+}
+
+/**
+ * POST /api/v1/verify/product-qr
+ * For apps that scan natively: body { payload } with the raw base64 payload or
+ * { url } with a verification URL carrying it, plus the same optional location/device hints.
+ */
+export async function verifyProductPayloadHandler(req, res) {
+  try {
+    const { httpStatus, body } = await verifyQrContent(req, req.body.payload ?? req.body.url);
+    return res.status(httpStatus).json(body);
+  } catch (err) {
+    console.error('verifyProductPayloadHandler error', err);
+    return res.status(500).json({ ok: false, error: 'server error' });
+  }
 }
\ No newline at end of file
@@ -3,7 +3,8 @@ import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
 import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
-import levenshtein from 'fast-levenshtein';
+import { detectScript } from '../utils/transliterate.js';
+import { findBestMatch } from '../services/matchingService.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -50,35 +51,11 @@ export async function verifyPromoterKycHandler(req, res) {
 
     // 3) Fuzzy lookup by name + dob
     if (!matchedRecord && name) {
-      // Search candidates w/ doc_type PROMOTER_KYC or PAN if you want a broader set
-      const candidates = await AuthoritativeRecord.find({ doc_type: { $in: ['PROMOTER_KYC', 'PAN', 'TECH_CERT'] } })
-        .limit(300).lean();
-
-      if (candidates && candidates.length > 0) {
-        const canonical = normalizeName(name);
-        const scored = candidates.map(c => {
-          const candName = c.canonical_name || (c.raw && c.raw.name) || '';
-          const dist = levenshtein.get(canonical, normalizeName(candName || ''));
-          const maxLen = Math.max(canonical.length, (candName||'').length, 1);
-          const similarity = 1 - (dist / maxLen);
-          // factor dob exact match if available (boost similarity)
-          let dobBoost = 0;
-          if (dob && c.dob) {
-            try {
-              const a = new Date(dob).toISOString().slice(0,10);
-              const b = new Date(c.dob).toISOString().slice(0,10);
-              if (a === b) dobBoost = 0.25; // boost when DOB matches exactly
-            } catch (e) { /* ignore */ }
-          }
-          const score = Math.min(1, similarity + dobBoost);
-          return { record: c, score };
-        });
-        scored.sort((a,b) => b.score - a.score);
-        const best = scored[0];
-        if (best && best.score >= 0.65) {
-          matchedRecord = { record: best.record, match_type: 'fuzzy_name_dob', score: best.score };
-          checks.db_match_score = best.score;
-        }
+      // searches PROMOTER_KYC, PAN and TECH_CERT records
+      const fuzzy = await findBestMatch('PROMOTER_KYC', { name, dob });
+      if (fuzzy) {
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
       }
     }
 
@@ -94,6 +71,8 @@ export async function verifyPromoterKycHandler(req, res) {
         id_hash: computedHash,
         id_masked: id_no_masked || null,
         canonical_name: normalizeName(name),
+        native_name: detectScript(name) ? name : null,
+        native_script: detectScript(name),
         dob: dob ? new Date(dob) : null,
         address: address || null,
         raw: { name, id_type, contact },
@@ -132,7 +111,8 @@ export async function verifyPromoterKycHandler(req, res) {
         match_type: matchedRecord.match_type,
         id_masked: matchedRecord.record.id_masked || null,
         name: matchedRecord.record.canonical_name || null,
-        dob: matchedRecord.record.dob || null
+        dob: matchedRecord.record.dob || null,
+        field_scores: matchedRecord.field_scores || null
       } : null,
       reasons: verDoc.reasons,
       timestamp: verDoc.created_at
@@ -1,10 +1,9 @@
 // src/controllers/verifyTechCertController.js
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
-import { exactLookupById, fuzzyLookupByNameDob } from '../services/matchingService.js';
+import { exactLookupById, findBestMatch } from '../services/matchingService.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
-import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
-import levenshtein from 'fast-levenshtein';
+import { normalizeId, sha256Hex } from '../utils/hash.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -18,10 +17,6 @@ export async function verifyTechCertHandler(req, res) {
     const verification_id = `ver-${uuidv4()}`;
     const checks = { format_check: 0, db_match_score: 0, date_validity: 0, ocr_confidence: (ocr_confidence ?? 0) };
 
-    // Normalize name & council
-    const nameCanon = normalizeName(name);
-    const councilCanon = normalizeName(council_name || '');
-
     // Format check: registration_no basic heuristic if provided
     if (registration_no) {
       const cleaned = registration_no.toString().trim();
@@ -57,33 +52,11 @@ export async function verifyTechCertHandler(req, res) {
 
     // Fuzzy fallback: name + council_name (and qualification lightly)
     if (!matchedRecord && name) {
-      // Search candidates by council_name to reduce set
-      const query = { doc_type: 'TECH_CERT' };
-      if (council_name) query['raw.council_name'] = { $regex: council_name.split(' ').slice(0,4).join(' '), $options: 'i' };
-      const candidates = await AuthoritativeRecord.find(query).limit(200).lean();
-      const effectiveCandidates = (candidates && candidates.length) ? candidates : await AuthoritativeRecord.find({ doc_type: 'TECH_CERT' }).limit(200).lean();
-
-      const scored = effectiveCandidates.map(c => {
-        const candName = c.canonical_name || (c.raw && c.raw.name) || '';
-        const candCouncil = (c.raw && c.raw.council_name) || c.canonical_name || '';
-        const nameDist = levenshtein.get(nameCanon, normalizeName(candName || ''));
-        const nameMax = Math.max(nameCanon.length, (candName||'').length, 1);
-        const nameSim = 1 - (nameDist / nameMax);
-
-        const councilDist = levenshtein.get(councilCanon, normalizeName(candCouncil || ''));
-        const councilMax = Math.max(councilCanon.length, (candCouncil||'').length, 1);
-        const councilSim = 1 - (councilDist / councilMax);
-
-        // weight name heavier
-        const combined = (0.7 * nameSim) + (0.3 * councilSim);
-        return { record: c, score: combined };
-      });
-
-      scored.sort((a,b) => b.score - a.score);
-      const best = scored[0];
-      if (best && best.score >= 0.66) {
-        matchedRecord = { record: best.record, match_type: 'fuzzy_name_council', score: best.score };
-        checks.db_match_score = best.score;
+      // candidates are narrowed by council_name first, then widened to all TECH_CERT
+      const fuzzy = await findBestMatch('TECH_CERT', { name, council: council_name });
+      if (fuzzy) {
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
       }
     }
 
@@ -117,7 +90,8 @@ export async function verifyTechCertHandler(req, res) {
         id_masked: matchedRecord.record.id_masked || null,
         name: matchedRecord.record.canonical_name || null,
         council_name: (matchedRecord.record.raw && matchedRecord.record.raw.council_name) || null,
-        valid_upto: matchedRecord.record.valid_upto || null
+        valid_upto: matchedRecord.record.valid_upto || null,
+        field_scores: matchedRecord.field_scores || null
       } : null,
       reasons: verDoc.reasons,
       timestamp: verDoc.created_at
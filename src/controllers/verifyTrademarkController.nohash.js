@@ -2,7 +2,7 @@
 import AuthoritativeRecord from "../models/AuthoritativeRecord.js";
 import Verification from "../models/Verification.js";
 import { computeFinalConfidence, decideStatus } from "../services/scoringService.js";
-import levenshtein from "fast-levenshtein";
+import { findBestMatch } from "../services/matchingService.js";
 import { v4 as uuidv4 } from "uuid";
 
 /**
@@ -59,38 +59,6 @@ export async function verifyTrademarkHandlerNoHash(req, res) {
       return await AuthoritativeRecord.findOne(q).lean();
     }
 
-    // Fuzzy lookup helper by mark name + class + owner_name optionally
-    async function fuzzyLookupMark(name, owner, cls, threshold = 0.62) {
-      if (!name) return null;
-      const q = { doc_type: "TRADEMARK" };
-      if (cls) q["raw.class"] = new RegExp(`${escapeRegex(String(cls))}`, "i");
-      // limit candidates
-      const candidates = await AuthoritativeRecord.find(q).limit(500).lean();
-      if (!candidates || candidates.length === 0) return null;
-      const nameCanon = name.toString().toLowerCase().trim();
-      const scored = candidates.map(c => {
-        const candMark = (c.raw && (c.raw.mark_name || c.canonical_name)) ? (c.raw.mark_name || c.canonical_name) : "";
-        const candMarkCanon = candMark.toString().toLowerCase();
-        const dist = levenshtein.get(nameCanon, candMarkCanon);
-        const maxLen = Math.max(nameCanon.length, candMarkCanon.length, 1);
-        let sim = 1 - (dist / maxLen);
-        // boost when owner matches textually
-        if (owner && c.raw && c.raw.owner_name) {
-          const ownA = owner.toString().toLowerCase();
-          const ownB = c.raw.owner_name.toString().toLowerCase();
-          const d2 = levenshtein.get(ownA, ownB);
-          const max2 = Math.max(ownA.length, ownB.length, 1);
-          const ownSim = 1 - (d2 / max2);
-          sim = Math.min(1, sim + (0.2 * ownSim));
-        }
-        return { record: c, score: sim };
-      });
-      scored.sort((a,b)=>b.score - a.score);
-      const best = scored[0];
-      if (best && best.score >= threshold) return best;
-      return null;
-    }
-
     // 1) Exact lookup by registration_no/application_no if provided
     let matched = null;
     if (registration_no) matched = await exactLookupByNumber(registration_no);
@@ -100,7 +68,7 @@ export async function verifyTrademarkHandlerNoHash(req, res) {
       checks.db_match_score = 1.0;
     } else {
       // 2) Fuzzy lookup by mark_name (and owner_name/class if present)
-      const fuzzy = await fuzzyLookupMark(mark_name, owner_name, tmClass, 0.62);
+      const fuzzy = await findBestMatch("TRADEMARK", { name: mark_name, owner: owner_name, class: tmClass });
       if (fuzzy) {
         matched = fuzzy.record;
         checks.db_match_score = fuzzy.score || 0;
@@ -155,8 +123,6 @@ export async function verifyTrademarkHandlerNoHash(req, res) {
   }
 }
 
-function escapeRegex(s) { return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); }
-
 function buildReasons(checks, matched) {
   const reasons = [];
   if (checks.format_check === 1) reasons.push("fields_present");
@@ -2,8 +2,8 @@
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
 import Verification from '../models/Verification.js';
 import { computeFinalConfidence, decideStatus } from '../services/scoringService.js';
-import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
-import levenshtein from 'fast-levenshtein';
+import { normalizeId, sha256Hex } from '../utils/hash.js';
+import { findBestMatch } from '../services/matchingService.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -63,33 +63,11 @@ export async function verifyUtilityHandler(req, res) {
 
     // Fuzzy fallback: match by consumer_name + address similarity
     if (!matchedRecord) {
-      // search candidate UTILITY records by address fragment
-      const addrFrag = address.toString().trim().split(/\s+/).slice(0,4).join(' ');
-      let candidates = await AuthoritativeRecord.find({ doc_type: 'UTILITY', address: { $regex: addrFrag, $options: 'i' } }).limit(200).lean();
-      if (!candidates || candidates.length === 0) candidates = await AuthoritativeRecord.find({ doc_type: 'UTILITY' }).limit(200).lean();
-
-      const nameCanon = normalizeName(consumer_name);
-      const scored = candidates.map(c => {
-        const candName = c.canonical_name || (c.raw && c.raw.consumer_name) || '';
-        const candAddr = (c.address || '').toLowerCase();
-        const nameDist = levenshtein.get(nameCanon, normalizeName(candName || ''));
-        const nameMax = Math.max(nameCanon.length, (candName||'').length, 1);
-        const nameSim = 1 - (nameDist / nameMax);
-
-        const addrDist = levenshtein.get(address.toLowerCase(), candAddr || '');
-        const addrMax = Math.max(address.length, (candAddr||'').length, 1);
-        const addrSim = 1 - (addrDist / addrMax);
-
-        // weight address higher for utility
-        const combined = (0.65 * addrSim) + (0.35 * nameSim);
-        return { record: c, score: combined };
-      });
-
-      scored.sort((a,b) => b.score - a.score);
-      const best = scored[0];
-      if (best && best.score >= 0.62) {
-        matchedRecord = { record: best.record, match_type: 'fuzzy_name_address', score: best.score };
-        checks.db_match_score = best.score;
+      // candidates narrowed by address fragment first; address weighs more than name
+      const fuzzy = await findBestMatch('UTILITY', { name: consumer_name, address });
+      if (fuzzy) {
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
       }
     }
 
@@ -124,7 +102,8 @@ export async function verifyUtilityHandler(req, res) {
         match_type: matchedRecord.match_type,
         id_masked: matchedRecord.record.id_masked || null,
         address: matchedRecord.record.address || null,
-        billing_date: matchedRecord.record.raw?.billing_date || null
+        billing_date: matchedRecord.record.raw?.billing_date || null,
+        field_scores: matchedRecord.field_scores || null
       } : null,
       reasons: verDoc.reasons,
       timestamp: verDoc.created_at
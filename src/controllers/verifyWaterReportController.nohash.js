@@ -0,0 +1,238 @@
+// src/controllers/verifyWaterReportController.nohash.js
+import AuthoritativeRecord from "../models/AuthoritativeRecord.js";
+import Verification from "../models/Verification.js";
+import { computeFinalConfidence, decideStatus } from "../services/scoringService.js";
+import { findBestMatch } from "../services/matchingService.js";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Built-in limits per intended use, keyed by lower-cased parameter name.
+ * DRINKING follows IS 10500:2012 acceptable limits; PROCESS_MANUFACTURING follows
+ * purified-water expectations for AYUSH manufacturing (Schedule T).
+ */
+const DEFAULT_LIMITS = {
+  DRINKING: {
+    ph: { min: 6.5, max: 8.5 },
+    turbidity_ntu: { max: 1 },
+    tds_mg_l: { max: 500 },
+    total_hardness_mg_l: { max: 200 },
+    chloride_mg_l: { max: 250 },
+    fluoride_mg_l: { max: 1.0 },
+    nitrate_mg_l: { max: 45 },
+    iron_mg_l: { max: 1.0 },
+    arsenic_ppb: { max: 10 },
+    lead_ppb: { max: 10 },
+    total_coliform_cfu_100ml: { max: 0 },
+    e_coli_cfu_100ml: { max: 0 }
+  },
+  PROCESS_MANUFACTURING: {
+    ph: { min: 5.0, max: 7.0 },
+    conductivity_us_cm: { max: 1.3 },
+    toc_ppb: { max: 500 },
+    tds_mg_l: { max: 10 },
+    total_aerobic_count_cfu_ml: { max: 100 },
+    total_coliform_cfu_100ml: { max: 0 },
+    e_coli_cfu_100ml: { max: 0 },
+    arsenic_ppb: { max: 10 },
+    lead_ppb: { max: 10 }
+  }
+};
+
+// NABL certificate numbers: TC (testing), MC (medical), CC (calibration) + 4-5 digits
+const NABL_REG_RE = /^(TC|MC|CC)-?[0-9]{4,5}$/i;
+
+/**
+ * POST /api/verify/water-report  (no-hash)
+ *
+ * - lab matched against WATER_LAB registry records (exact registration no, else fuzzy lab name)
+ * - every parameter checked against expected_limits, falling back to DEFAULT_LIMITS[intended_use]
+ * - sample recency (<= 90 days = 1, <= 180 days = 0.6, else 0)
+ */
+export async function verifyWaterReportHandlerNoHash(req, res) {
+  try {
+    const { request_id, submitted_by, extracted } = req.body;
+    const {
+      report_no, lab_name, lab_registration_no, sample_date,
+      parameters = {}, expected_limits = {}, intended_use = "DRINKING",
+      ocr_confidence
+    } = extracted;
+
+    const verification_id = `ver-${uuidv4()}`;
+    const checks = {
+      format_check: 0,          // report no + lab registration format
+      db_match_score: 0,        // lab registry match
+      lab_accreditation_valid: 0,
+      sample_recency: 0,
+      parameter_compliance: 0,  // share of checked parameters within limits
+      ocr_confidence: (ocr_confidence ?? 0)
+    };
+
+    // Helper: exact lookup of a lab by registration number
+    async function exactLookupLab(value) {
+      if (!value) return null;
+      return await AuthoritativeRecord.findOne({
+        doc_type: "WATER_LAB",
+        $or: [{ "raw.registration_no": value }, { id_masked: value }]
+      }).lean();
+    }
+
+    // 1) Format: NABL-style registration number and a report number
+    const regOk = lab_registration_no ? NABL_REG_RE.test(lab_registration_no.trim()) : false;
+    if (regOk && report_no) checks.format_check = 1;
+    else if (regOk || report_no) checks.format_check = 0.6;
+    else checks.format_check = 0.3;
+
+    // 2) Lab registry match
+    let matchedRecord = null;
+    if (lab_registration_no) {
+      const rec = await exactLookupLab(lab_registration_no.trim().toUpperCase());
+      if (rec) { matchedRecord = { record: rec, match_type: "exact_lab_registration" }; checks.db_match_score = 1.0; }
+    }
+    if (!matchedRecord && lab_name) {
+      const fuzzy = await findBestMatch("WATER_LAB", { name: lab_name });
+      if (fuzzy) {
+        matchedRecord = fuzzy;
+        checks.db_match_score = fuzzy.score;
+      }
+    }
+
+    // accreditation must cover water testing and be valid on the sample date
+    const sampleDateObj = new Date(sample_date);
+    if (matchedRecord) {
+      const raw = matchedRecord.record.raw || {};
+      const scope = (raw.scope || []).map(s => s.toString().toLowerCase());
+      const inScope = scope.length === 0 || scope.includes("water");
+      const validOnSample = !raw.valid_upto || new Date(raw.valid_upto) >= sampleDateObj;
+      checks.lab_accreditation_valid = (inScope && validOnSample) ? 1 : 0;
+    }
+
+    // 3) Sample recency
+    const now = new Date();
+    const days = Math.floor((now - sampleDateObj) / (1000*60*60*24));
+    if (days < 0) checks.sample_recency = 0; // sample dated in the future
+    else if (days <= 90) checks.sample_recency = 1;
+    else if (days <= 180) checks.sample_recency = 0.6;
+    else checks.sample_recency = 0;
+
+    // 4) Per-parameter compliance
+    const parameterResults = checkParameters(parameters, expected_limits, DEFAULT_LIMITS[intended_use] || {});
+    const evaluated = Object.values(parameterResults).filter(p => p.result === "PASS" || p.result === "FAIL");
+    const failed = evaluated.filter(p => p.result === "FAIL");
+    checks.parameter_compliance = evaluated.length ? (evaluated.length - failed.length) / evaluated.length : 0;
+
+    // Compose: lab match (+ accreditation) is the DB part, the rest forms the format composite
+    const dbComposite = matchedRecord ? (checks.db_match_score * 0.7) + (checks.lab_accreditation_valid * 0.3) : 0;
+    const compositeFormat = (checks.format_check + checks.sample_recency + checks.parameter_compliance) / 3;
+    const final_confidence = computeFinalConfidence({ db_match_score: dbComposite, format_check: compositeFormat, ocr_confidence: checks.ocr_confidence });
+    const status = decideStatus(final_confidence);
+    const compliant = evaluated.length > 0 && failed.length === 0;
+
+    const verDoc = await Verification.create({
+      verification_id,
+      request_id,
+      submitted_by,
+      doc_type: "WATER_REPORT",
+      extracted,
+      checks: { ...checks, parameter_results: parameterResults, intended_use, compliant },
+      matched_record_id: matchedRecord?.record?._id ?? null,
+      final_confidence,
+      status,
+      reasons: buildReasons(checks, matchedRecord, parameterResults, regOk, lab_registration_no, days)
+    });
+
+    const response = {
+      verification_id,
+      status,
+      final_confidence: Number(final_confidence.toFixed(4)),
+      scores: checks,
+      intended_use,
+      compliant,
+      parameters: parameterResults,
+      matched_record: matchedRecord?.record ? {
+        record_id: matchedRecord.record._id,
+        match_type: matchedRecord.match_type,
+        id_masked: matchedRecord.record.id_masked || null,
+        lab_name: matchedRecord.record.raw?.lab_name || matchedRecord.record.canonical_name || null,
+        valid_upto: matchedRecord.record.raw?.valid_upto || null,
+        field_scores: matchedRecord.field_scores || null
+      } : null,
+      reasons: verDoc.reasons,
+      timestamp: verDoc.created_at
+    };
+
+    return res.status(200).json(response);
+  } catch (err) {
+    console.error("verifyWaterReportHandlerNoHash error", err);
+    return res.status(500).json({ error: "internal_server_error" });
+  }
+}
+
+/**
+ * Lab reports print values like 7.2, "7.2", "<0.01", "ND" or "BDL".
+ * Returns a number (below-detection -> 0, "<x" -> x) or null when unreadable.
+ */
+function parseReading(value) {
+  if (typeof value === "number") return value;
+  const s = value.toString().trim().toLowerCase();
+  if (["nd", "bdl", "nil", "absent", "not detected"].includes(s)) return 0;
+  const m = s.match(/^[<>≤≥]?\s*=?\s*(-?[0-9]*\.?[0-9]+)/);
+  return m ? parseFloat(m[1]) : null;
+}
+
+/**
+ * The submitter is the party being verified, so a supplied limit may only tighten the
+ * default for the intended use, never loosen it: each bound keeps the stricter value.
+ * Returns { limit, limit_source } with source supplied | default | combined | null.
+ */
+function effectiveLimit(supplied, fallback) {
+  if (!supplied || !fallback) {
+    return { limit: supplied || fallback || null, limit_source: supplied ? "supplied" : (fallback ? "default" : null) };
+  }
+  const stricter = (a, b, pick) => (a === undefined ? b : (b === undefined ? a : pick(a, b)));
+  const limit = {};
+  const min = stricter(supplied.min, fallback.min, Math.max);
+  const max = stricter(supplied.max, fallback.max, Math.min);
+  if (min !== undefined) limit.min = min;
+  if (max !== undefined) limit.max = max;
+  const same = l => l.min === limit.min && l.max === limit.max;
+  const limit_source = same(fallback) ? "default" : (same(supplied) ? "supplied" : "combined");
+  return { limit, limit_source };
+}
+
+function checkParameters(parameters, suppliedLimits, defaultLimits) {
+  const supplied = {};
+  for (const [k, v] of Object.entries(suppliedLimits || {})) supplied[k.toLowerCase()] = v;
+
+  const results = {};
+  for (const [name, rawValue] of Object.entries(parameters)) {
+    const key = name.toLowerCase();
+    const { limit, limit_source } = effectiveLimit(supplied[key], defaultLimits[key]);
+    const value = parseReading(rawValue);
+
+    let result;
+    if (value === null) result = "UNPARSABLE";
+    else if (!limit) result = "NO_LIMIT";
+    else if ((limit.min !== undefined && value < limit.min) || (limit.max !== undefined && value > limit.max)) result = "FAIL";
+    else result = "PASS";
+
+    results[name] = { value: rawValue, limit, limit_source, result };
+  }
+  return results;
+}
+
+function buildReasons(checks, matchedRecord, parameterResults, regOk, labRegNo, sampleAgeDays) {
+  const reasons = [];
+  if (labRegNo && !regOk) reasons.push("lab_registration_format_invalid");
+  if (checks.db_match_score === 1.0) reasons.push("lab_registry_exact_match");
+  else if (checks.db_match_score > 0) reasons.push(`lab_registry_fuzzy_match_${checks.db_match_score.toFixed(2)}`);
+  if (!matchedRecord) reasons.push("lab_not_in_registry");
+  else if (!checks.lab_accreditation_valid) reasons.push("lab_accreditation_invalid_for_sample");
+  if (sampleAgeDays < 0) reasons.push("sample_date_in_future");
+  else if (checks.sample_recency === 0) reasons.push("sample_too_old");
+  for (const [name, p] of Object.entries(parameterResults)) {
+    if (p.result === "FAIL") reasons.push(`parameter_out_of_limit_${name}`);
+    else if (p.result === "UNPARSABLE") reasons.push(`parameter_unreadable_${name}`);
+  }
+  if (checks.ocr_confidence && checks.ocr_confidence < 0.6) reasons.push("low_ocr_confidence");
+  return reasons;
+}
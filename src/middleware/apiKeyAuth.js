@@ -0,0 +1,51 @@
+// src/middleware/apiKeyAuth.js
+import { resolveApiKey } from '../services/apiKeyService.js';
+
+/**
+ * Authenticate the x-api-key header and attach req.client.
+ */
+export default async function apiKeyAuth(req, res, next) {
+  try {
+    const { client, error } = await resolveApiKey(req.get('x-api-key'));
+    if (error) return res.status(401).json({ error });
+    req.client = client;
+    return next();
+  } catch (err) {
+    console.error('apiKeyAuth error', err);
+    return res.status(500).json({ error: 'internal_server_error' });
+  }
+}
+
+/**
+ * For verification submissions: submitted_by is always taken from the key's client id,
+ * never from the body. Kept out of apiKeyAuth so other bodies are not given a field their schemas reject.
+ */
+export function stampSubmitter(req, res, next) {
+  if (req.client && req.body && typeof req.body === 'object') req.body.submitted_by = req.client.client_id;
+  return next();
+}
+
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.client || !req.client.scopes.includes(scope)) {
+      return res.status(403).json({ error: 'insufficient_scope', required: scope });
+    }
+    return next();
+  };
+}
+
+/**
+ * Reject doc types outside the key's allow-list (an empty list allows all).
+ * With no argument the doc type comes from the request body, so routes whose body has
+ * no required doc_type (multipart, lookups) must name theirs explicitly.
+ */
+export function authorizeDocType(docType) {
+  return (req, res, next) => {
+    const requested = docType || req.body?.doc_type;
+    const allowed = req.client?.allowed_doc_types || [];
+    if (requested && allowed.length && !allowed.includes(String(requested).toUpperCase())) {
+      return res.status(403).json({ error: 'doc_type_not_allowed', doc_type: requested });
+    }
+    return next();
+  };
+}
@@ -1,11 +1,13 @@
 // src/middleware/validate.js
-export default function validate(schema) {
+export default function validate(schema, source = 'body') {
   return (req, res, next) => {
-    const { error, value } = schema.validate(req.body, { abortEarly: false, allowUnknown: false });
+    const { error, value } = schema.validate(req[source], { abortEarly: false, allowUnknown: false });
     if (error) {
       return res.status(400).json({ error: 'validation_error', details: error.details.map(d => d.message) });
     }
-    req.body = value;
+    if (source === 'body') req.body = value;
+    // express 5 exposes req.query as a getter, so shadow it with the validated copy
+    else Object.defineProperty(req, source, { value, writable: true, configurable: true, enumerable: true });
     return next();
   };
 }
@@ -0,0 +1,22 @@
+// src/models/ApiKey.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const ApiKeySchema = new Schema({
+  key_id: { type: String, required: true, unique: true },  // public part, shown in listings/logs
+  key_hash: { type: String, required: true, unique: true }, // sha256(full key); the key itself is never stored
+  client_id: { type: String, required: true, index: true },
+  name: { type: String },
+  scopes: [String],                                          // e.g. verify, verifications:read, review
+  allowed_doc_types: [String],                               // empty = every doc type
+  manufacturer: { type: String },                            // the only manufacturer a qr:issue key may sign codes for
+  expires_at: { type: Date },
+  revoked_at: { type: Date },
+  revoked_reason: { type: String },
+  rotated_from: { type: String },                            // key_id this key replaced
+  last_used_at: { type: Date },
+  created_at: { type: Date, default: Date.now }
+});
+
+export default mongoose.model('ApiKey', ApiKeySchema);
@@ -1,5 +1,6 @@
 // src/models/AuthoritativeRecord.js
 import mongoose from 'mongoose';
+import { recordBlockKeys } from '../utils/hash.js';
 
 const { Schema } = mongoose;
 
@@ -8,11 +9,14 @@ const AuthoritativeRecordSchema = new Schema({
   lookup_key: { type: String },
   id_hash: { type: String, required: true, index: true },  // sha256(normalized_id)
   id_masked: { type: String },
-  canonical_name: { type: String, index: true },           // normalized name
+  canonical_name: { type: String, index: true },           // normalized name (Latin, transliterated if needed)
+  native_name: { type: String },                           // name as issued, when not in Latin script
+  native_script: { type: String },                         // e.g. DEVANAGARI, BENGALI (utils/transliterate.js)
   dob: { type: Date },
   email: { type: String },
   address: { type: String },
   raw: { type: Schema.Types.Mixed },                       // encrypted in prod if PII
+  block_keys: [String],                                    // fuzzy-match blocking keys (utils/hash.js recordBlockKeys)
   source: { type: String },
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now }
@@ -20,5 +24,15 @@ const AuthoritativeRecordSchema = new Schema({
 
 // Unique index per doc_type + id_hash
 AuthoritativeRecordSchema.index({ doc_type: 1, id_hash: 1 }, { unique: true });
+// Candidate blocking for fuzzy lookup
+AuthoritativeRecordSchema.index({ doc_type: 1, block_keys: 1 });
+
+// keep blocking keys in sync for records created through the API (seeds set them explicitly)
+AuthoritativeRecordSchema.pre('save', function setBlockKeys(next) {
+  if (this.isNew || this.isModified('canonical_name') || this.isModified('address') || this.isModified('raw')) {
+    this.block_keys = recordBlockKeys(this.toObject());
+  }
+  next();
+});
 
 export default mongoose.model('AuthoritativeRecord', AuthoritativeRecordSchema);
@@ -0,0 +1,24 @@
+// src/models/IfscBranch.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Local copy of the RBI IFSC / MICR master, refreshed with src/scripts/import-ifsc.js
+const IfscBranchSchema = new Schema({
+  ifsc: { type: String, required: true, unique: true },   // e.g. SBIN0000691
+  bank_code: { type: String, required: true, index: true }, // first 4 IFSC chars
+  bank: { type: String, required: true },
+  branch: { type: String },
+  address: { type: String },
+  city: { type: String },
+  district: { type: String },
+  state: { type: String },
+  contact: { type: String },
+  micr: { type: String, index: true },                     // 9 digits: city(3) bank(3) branch(3)
+  source: { type: String },                                // import file name
+  imported_at: { type: Date, default: Date.now },
+  active: { type: Boolean, default: true },                // false once a full import no longer lists it
+  deactivated_at: { type: Date }
+});
+
+export default mongoose.model('IfscBranch', IfscBranchSchema);
@@ -0,0 +1,32 @@
+// src/models/Product.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const BatchSchema = new Schema({
+  batch_id: { type: String, required: true },
+  manufactured_at: { type: Date },
+  expires_at: { type: Date },
+  secret_enc: { type: String },                              // optional per-batch signing secret (encrypted)
+  active: { type: Boolean, default: true },
+  created_at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const ProductSchema = new Schema({
+  product_id: { type: String, required: true, unique: true }, // SKU code printed in the QR payload
+  name: { type: String, required: true },
+  manufacturer: { type: String },
+  secret_enc: { type: String, required: true },              // HMAC signing secret, AES-256-GCM (see utils/secretBox.js)
+  active: { type: Boolean, default: true },
+  batches: [BatchSchema],
+  scan_policy: {                                             // clone detection overrides (see services/productScanService.js)
+    max_total_scans: { type: Number },
+    max_scans: { type: Number },
+    max_travel_kmh: { type: Number }
+  },
+  created_by: { type: String },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+export default mongoose.model('Product', ProductSchema);
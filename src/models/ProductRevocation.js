@@ -0,0 +1,25 @@
+// src/models/ProductRevocation.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Recall / revocation entries. Scope follows the fields set: product only = every code of
+// the product, + batch = that batch, + nonce = one printed code.
+const ProductRevocationSchema = new Schema({
+  revocation_id: { type: String, required: true, unique: true },
+  product_id: { type: String, required: true },
+  batch: { type: String, default: null },
+  nonce: { type: String, default: null },
+  kind: { type: String, required: true, enum: ['RECALL', 'REVOCATION'] },
+  reason: { type: String, required: true },                  // internal reason (audit)
+  notice: { type: String },                                  // consumer-facing recall notice
+  effective_at: { type: Date, required: true, default: Date.now },
+  lifted_at: { type: Date },
+  lifted_by: { type: String },
+  created_by: { type: String },
+  created_at: { type: Date, default: Date.now }
+});
+
+ProductRevocationSchema.index({ product_id: 1, batch: 1, nonce: 1 });
+
+export default mongoose.model('ProductRevocation', ProductRevocationSchema);
@@ -0,0 +1,32 @@
+// src/models/ProductScan.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One row per product QR scan, genuine or not (see services/productScanService.js)
+const ProductScanSchema = new Schema({
+  product_id: { type: String },
+  batch: { type: String },
+  nonce: { type: String },                                   // identifies the printed code
+  kid: { type: String },
+  scheme: { type: String },                                  // KEYED | HMAC
+  verified: { type: Boolean, required: true },
+  reason: { type: String },                                  // failure reason when not verified
+  revocation_id: { type: String },                           // recall/revocation in force at scan time
+  suspected_clone: { type: Boolean, default: false },        // null: not assessed (code has no nonce)
+  clone_reasons: [String],
+  location: {                                                // client-supplied hint, not trusted
+    lat: { type: Number },
+    lng: { type: Number },
+    country: { type: String },
+    city: { type: String }
+  },
+  device: { type: String },                                  // client-supplied device/app install id
+  client_id: { type: String },
+  scanned_at: { type: Date, default: Date.now }
+});
+
+ProductScanSchema.index({ product_id: 1, nonce: 1, scanned_at: -1 });
+ProductScanSchema.index({ suspected_clone: 1, scanned_at: -1 });
+
+export default mongoose.model('ProductScan', ProductScanSchema);
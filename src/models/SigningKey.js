@@ -0,0 +1,25 @@
+// src/models/SigningKey.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Asymmetric product QR signing keys. A manufacturer may hold several keys at once:
+// the newest active one signs, every non-revoked one still verifies the codes it signed.
+const SigningKeySchema = new Schema({
+  kid: { type: String, required: true, unique: true },       // carried in the QR payload
+  manufacturer: { type: String, required: true, index: true },
+  alg: { type: String, required: true, enum: ['Ed25519', 'ES256'] },
+  public_key: { type: String, required: true },              // SPKI PEM, publishable
+  private_key_enc: { type: String, required: true },         // PKCS8 PEM, AES-256-GCM (see utils/secretBox.js)
+  activates_at: { type: Date, default: Date.now },           // not used for signing before this
+  retires_at: { type: Date },                                // stops signing (rotation); still verifies
+  verify_until: { type: Date },                              // optional hard end for verification
+  revoked_at: { type: Date },                                // compromised: codes signed with it are rejected
+  revoked_reason: { type: String },
+  rotated_from: { type: String },
+  created_at: { type: Date, default: Date.now }
+});
+
+SigningKeySchema.index({ manufacturer: 1, activates_at: -1 });
+
+export default mongoose.model('SigningKey', SigningKeySchema);
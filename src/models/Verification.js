@@ -16,7 +16,20 @@ const VerificationSchema = new Schema({
   reasons: [String],
   created_at: { type: Date, default: Date.now },
   reviewed_by: { type: String },
-  reviewed_at: { type: Date }
+  reviewed_at: { type: Date },
+  // manual review lock: only the claiming reviewer may decide until claim_expires_at
+  claimed_by: { type: String },
+  claimed_at: { type: Date },
+  claim_expires_at: { type: Date },
+  review_history: [{
+    _id: false,
+    action: { type: String, required: true }, // CLAIM | RELEASE | APPROVE | REJECT
+    reviewer: { type: String, required: true },
+    reason: { type: String },
+    from_status: { type: String },
+    to_status: { type: String },
+    at: { type: Date, default: Date.now }
+  }]
 });
 
 VerificationSchema.index({ request_id: 1 });
@@ -0,0 +1,41 @@
+// src/routes/product.routes.js
+import express from 'express';
+import validate from '../middleware/validate.js';
+import apiKeyAuth, { requireScope } from '../middleware/apiKeyAuth.js';
+import {
+  createBatchHandler, createProductHandler, createRevocationHandler, getProductHandler, liftRevocationHandler,
+  listProductsHandler, listRevocationsHandler, updateBatchHandler, updateProductHandler
+} from '../controllers/productController.js';
+import { issueBatchQrHandler, issueQrHandler, listQrKeysHandler } from '../controllers/productQrController.js';
+import {
+  createBatchSchema, createProductSchema, createRevocationSchema, issueBatchQrSchema, issueQrSchema,
+  listProductsSchema, listRevocationsSchema, updateBatchSchema, updateProductSchema
+} from '../validation/productSchema.js';
+
+const router = express.Router();
+
+router.use('/products', apiKeyAuth);
+
+// registry administration
+const admin = requireScope('products:admin');
+router.post('/products', admin, validate(createProductSchema), createProductHandler);
+router.get('/products', admin, validate(listProductsSchema, 'query'), listProductsHandler);
+router.get('/products/:product_id', admin, getProductHandler);
+router.patch('/products/:product_id', admin, validate(updateProductSchema), updateProductHandler);
+router.post('/products/:product_id/batches', admin, validate(createBatchSchema), createBatchHandler);
+router.patch('/products/:product_id/batches/:batch_id', admin, validate(updateBatchSchema), updateBatchHandler);
+
+// recalls / revoked codes
+router.post('/products/:product_id/revocations', admin, validate(createRevocationSchema), createRevocationHandler);
+router.get('/products/:product_id/revocations', admin, validate(listRevocationsSchema, 'query'), listRevocationsHandler);
+router.post('/products/:product_id/revocations/:revocation_id/lift', admin, liftRevocationHandler);
+
+// code issuance for manufacturers / print vendors; secrets never leave the server
+const issuer = requireScope('qr:issue');
+router.post('/products/:product_id/qr', issuer, validate(issueQrSchema), issueQrHandler);
+router.post('/products/:product_id/batches/:batch_id/qr', issuer, validate(issueBatchQrSchema), issueBatchQrHandler);
+
+// public verification keys, so anyone can check keyed codes without being able to forge them
+router.get('/qr-keys', listQrKeysHandler);
+
+export default router;
@@ -0,0 +1,19 @@
+// src/routes/review.routes.js
+import express from 'express';
+import validate from '../middleware/validate.js';
+import apiKeyAuth, { requireScope } from '../middleware/apiKeyAuth.js';
+import {
+  claimReviewHandler, decideReviewHandler, listReviewQueueHandler, releaseReviewHandler
+} from '../controllers/reviewController.js';
+import { listReviewQueueSchema, reviewActionSchema, reviewDecisionSchema } from '../validation/reviewSchema.js';
+
+const router = express.Router();
+
+router.use('/reviews', apiKeyAuth, requireScope('review'));
+
+router.get('/reviews', validate(listReviewQueueSchema, 'query'), listReviewQueueHandler);
+router.post('/reviews/:verification_id/claim', validate(reviewActionSchema), claimReviewHandler);
+router.post('/reviews/:verification_id/release', validate(reviewActionSchema), releaseReviewHandler);
+router.post('/reviews/:verification_id/decision', validate(reviewDecisionSchema), decideReviewHandler);
+
+export default router;
@@ -0,0 +1,15 @@
+// src/routes/verification.routes.js
+import express from 'express';
+import validate from '../middleware/validate.js';
+import apiKeyAuth, { requireScope } from '../middleware/apiKeyAuth.js';
+import { getVerificationHandler, listVerificationsHandler } from '../controllers/verificationController.js';
+import { listVerificationsSchema } from '../validation/verificationQuerySchema.js';
+
+const router = express.Router();
+
+router.use('/verifications', apiKeyAuth, requireScope('verifications:read'));
+
+router.get('/verifications', validate(listVerificationsSchema, 'query'), listVerificationsHandler);
+router.get('/verifications/:verification_id', getVerificationHandler);
+
+export default router;
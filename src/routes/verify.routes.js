@@ -2,11 +2,13 @@
 import express from 'express';
 import multer from 'multer';
 import validate from '../middleware/validate.js';
-// import apiKeyAuth from '../middleware/apiKeyAuth.js';
+import apiKeyAuth, { authorizeDocType, requireScope, stampSubmitter } from '../middleware/apiKeyAuth.js';
 import { verifyPanHandler } from '../controllers/verifyPanController.js';
 import { verifyPanSchema } from '../validation/schemas.js';
 import { verifyAadhaarHandler } from '../controllers/verifyAadhaarController.js';
 import { verifyAadhaarSchema } from '../validation/verifyAadhaarSchema.js';
+import { verifyAadhaarOfflineHandler } from '../controllers/verifyAadhaarOfflineController.js';
+import { verifyAadhaarOfflineSchema } from '../validation/verifyAadhaarOfflineSchema.js';
 import { verifyIncorpHandler } from '../controllers/verifyIncorpController.js';
 import { verifyIncorpSchema } from '../validation/verifyIncorpSchema.js';
 import { verifyGstHandler } from '../controllers/verifyGstController.js';
@@ -35,13 +37,18 @@ import { verifyPassportHandler } from '../controllers/verifyPassportController.j
 import { verifyPassportSchema } from '../validation/verifyPassportSchema.js';
 import { verifyLoanLicenseHandler } from '../controllers/verifyLoanLicenseController.js';
 import { verifyLoanLicenseSchema } from '../validation/verifyLoanLicenseSchema.js';
+import { verifyManufacturingHandler } from '../controllers/verifyManufacturingController.js';
+import { verifyManufacturingSchema } from '../validation/verifyManufacturingSchema.js';
 import { verifyClinicHandlerNoHash } from "../controllers/verifyClinicController.nohash.js";
 import { verifyClinicSchema } from "../validation/verifyClinicSchema.nohash.js";
 import { verifyTrademarkHandlerNoHash } from "../controllers/verifyTrademarkController.nohash.js";
 import { verifyTrademarkSchema } from "../validation/verifyTrademarkSchema.nohash.js";
 import { verifyElectricityHandlerNoHash } from "../controllers/verifyElectricityController.nohash.js";
 import { verifyElectricitySchema } from "../validation/verifyElectricitySchema.nohash.js";
-import {verifyProductQrHandler} from '../controllers/verifyProductQrController.js';
+import { verifyWaterReportHandlerNoHash } from "../controllers/verifyWaterReportController.nohash.js";
+import { verifyWaterReportSchema } from "../validation/verifyWaterReportSchema.nohash.js";
+import { verifyProductPayloadHandler, verifyProductQrHandler } from '../controllers/verifyProductQrController.js';
+import { productScanContextSchema, verifyProductPayloadSchema } from '../validation/productSchema.js';
 import { emailLookUpController } from '../controllers/emailLookUpController.js';
 
 
@@ -52,15 +59,17 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }
 });
 // Protect all verify routes with API key
+router.use('/verify', apiKeyAuth, requireScope('verify'), stampSubmitter, authorizeDocType());
 
 router.post('/verify/pan', validate(verifyPanSchema), verifyPanHandler);
 router.post('/verify/aadhaar', validate(verifyAadhaarSchema), verifyAadhaarHandler);
+router.post('/verify/aadhaar-offline', validate(verifyAadhaarOfflineSchema), verifyAadhaarOfflineHandler);
 router.post('/verify/incorporation', validate(verifyIncorpSchema), verifyIncorpHandler);
 router.post('/verify/gst', validate(verifyGstSchema), verifyGstHandler);
 router.post('/verify/lease', validate(verifyLeaseSchema), verifyLeaseHandler);
-router.post('/verify/fire-noc', validate(verifyNocSchema), (req, res, next) => { req.body.doc_type = 'FIRE_NOC'; return verifyNocHandler(req, res, next); });
-router.post('/verify/pollution-noc', validate(verifyNocSchema), (req, res, next) => { req.body.doc_type = 'POLLUTION_NOC'; return verifyNocHandler(req, res, next); });
-router.post('/verify/bio-noc', validate(verifyNocSchema), (req, res, next) => { req.body.doc_type = 'BIO_NOC'; return verifyNocHandler(req, res, next); });
+router.post('/verify/fire-noc', authorizeDocType('FIRE_NOC'), validate(verifyNocSchema), (req, res, next) => { req.body.doc_type = 'FIRE_NOC'; return verifyNocHandler(req, res, next); });
+router.post('/verify/pollution-noc', authorizeDocType('POLLUTION_NOC'), validate(verifyNocSchema), (req, res, next) => { req.body.doc_type = 'POLLUTION_NOC'; return verifyNocHandler(req, res, next); });
+router.post('/verify/bio-noc', authorizeDocType('BIO_NOC'), validate(verifyNocSchema), (req, res, next) => { req.body.doc_type = 'BIO_NOC'; return verifyNocHandler(req, res, next); });
 router.post('/verify/tech-cert', validate(verifyTechCertSchema), verifyTechCertHandler);
 router.post('/verify/gmp', validate(verifyGmpSchema), verifyGmpHandler);
 router.post('/verify/product-dossier', validate(verifyProductSchema), verifyProductHandler);
@@ -71,13 +80,16 @@ router.post('/verify/utility-bill', validate(verifyUtilitySchema), verifyUtility
 router.post('/verify/bank-cheque', validate(verifyBankChequeSchema), verifyBankChequeHandler);
 router.post('/verify/passport', validate(verifyPassportSchema), verifyPassportHandler);
 router.post('/verify/loan-license', validate(verifyLoanLicenseSchema), verifyLoanLicenseHandler);
+router.post('/verify/manufacturing-license', validate(verifyManufacturingSchema), verifyManufacturingHandler);
 router.post("/verify/clinic", validate(verifyClinicSchema), verifyClinicHandlerNoHash);
 router.post("/verify/trademark", validate(verifyTrademarkSchema), verifyTrademarkHandlerNoHash);
 router.post("/verify/electricity-bill", validate(verifyElectricitySchema), verifyElectricityHandlerNoHash);
+router.post("/verify/water-report", validate(verifyWaterReportSchema), verifyWaterReportHandlerNoHash);
 
-router.post('/verify/verify-image', upload.single('image'),verifyProductQrHandler);
+router.post('/verify/verify-image', authorizeDocType('PRODUCT_QR'), upload.single('image'), validate(productScanContextSchema), verifyProductQrHandler);
+router.post('/verify/product-qr', authorizeDocType('PRODUCT_QR'), validate(verifyProductPayloadSchema), verifyProductPayloadHandler);
 
-router.post('/verify/email-lookup', emailLookUpController);
+router.post('/verify/email-lookup', authorizeDocType('EMAIL_LOOKUP'), emailLookUpController);
 
 
 // Export router to mount in app.js
@@ -0,0 +1,55 @@
+// src/scripts/backfill-block-keys.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
+import { PHONETIC_BLOCK_PREFIX, recordBlockKeys } from '../utils/hash.js';
+import { DB_NAME } from '../constants.js';
+
+dotenv.config({ path: './.env' });
+
+/**
+ * Recompute block_keys for existing AuthoritativeRecords (all, or one doc_type) and
+ * make sure the { doc_type, block_keys } index exists.
+ * staleOnly limits the pass to records without current-version phonetic keys.
+ */
+async function backfill({ docType, batchSize = 1000, staleOnly = false } = {}) {
+  await AuthoritativeRecord.syncIndexes();
+  const query = docType ? { doc_type: docType } : {};
+  if (staleOnly) query.block_keys = { $not: { $elemMatch: { $regex: `^${PHONETIC_BLOCK_PREFIX}` } } };
+  const cursor = AuthoritativeRecord.find(query).lean().cursor();
+
+  let ops = [];
+  let updated = 0;
+  for await (const rec of cursor) {
+    ops.push({ updateOne: { filter: { _id: rec._id }, update: { $set: { block_keys: recordBlockKeys(rec) } } } });
+    if (ops.length >= batchSize) {
+      updated += (await AuthoritativeRecord.bulkWrite(ops, { ordered: false })).modifiedCount;
+      ops = [];
+    }
+  }
+  if (ops.length) updated += (await AuthoritativeRecord.bulkWrite(ops, { ordered: false })).modifiedCount;
+  console.log(`Backfill complete, ${updated} records updated`);
+}
+
+// CLI
+if (process.argv[1] && process.argv[1].endsWith('backfill-block-keys.js')) {
+  const arg = name => (process.argv.find(a => a.startsWith(`--${name}=`)) || '').split('=')[1];
+  const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!MONGO_URI) {
+    console.log('MONGODB_URI is not set');
+    process.exit(1);
+  }
+  mongoose.connect(`${MONGO_URI}/${DB_NAME}`)
+    .then(() => backfill({
+      docType: arg('doc-type'),
+      batchSize: Number(arg('batch') || 1000),
+      staleOnly: process.argv.includes('--stale-only')
+    }))
+    .catch(err => {
+      console.error(err.message || err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+export default backfill;
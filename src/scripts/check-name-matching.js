@@ -0,0 +1,46 @@
+// src/scripts/check-name-matching.js
+// Tuning cases for nameSimilarity: spelling variants must clear the person-name threshold,
+// different people must not. Run after changing hash.js / matchingService.js name scoring;
+// exits non-zero when a case flips. Needs no database.
+import { MATCH_PROFILES, nameSimilarity } from '../services/matchingService.js';
+
+const SAME = [
+  ['Arnab Kumar Ghosh', 'Ghosh Arnab'],
+  ['A K Ghosh', 'Arnab Kumar Ghosh'],
+  ['Mohd Irfan', 'Mohammed Irfan'],
+  ['Mohammed Irfan', 'Muhammed Irfan'],
+  ['Sarita Rao', 'Saritha Rao'],
+  ['Bhaskar Rao', 'Baskar Rao'],
+  ['Shri Rahul Verma', 'Rahul Varma'],
+  ['Smt. Sarita Devi', 'Sarita Devi'],
+  ['Dr A K Ghosh', 'Arnab Kumar Ghosh'],
+  ['Srinivas Rao', 'Shrinivas Rao'],
+  ['Lakshmi Devi', 'Laxmi Devi'],
+  ['Amit Chowdhury', 'Amit Choudhary'],
+  ['Pooja Patel', 'Puja Patel'],
+  ['Ramkumar Yadav', 'Ram Kumar Yadav'],
+  ['K Subramanian', 'K Subramaniam']
+];
+
+const DIFFERENT = [
+  ['Ramesh', 'Rakesh'],
+  ['Ramesh Gupta', 'Rakesh Gupta'],
+  ['Suresh Gupta', 'Ramesh Gupta'],
+  ['Sunil Sharma', 'Sonal Sharma'],
+  ['Manoj Das', 'Manju Das'],
+  ['Anil Kumar', 'Sunil Kumar'],
+  ['Rahul Verma', 'Rahul Sharma']
+];
+
+const threshold = MATCH_PROFILES.PAN.threshold;
+let failures = 0;
+for (const [cases, expectSame] of [[SAME, true], [DIFFERENT, false]]) {
+  for (const [a, b] of cases) {
+    const score = nameSimilarity(a, b);
+    const ok = (score >= threshold) === expectSame;
+    if (!ok) failures += 1;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${score.toFixed(3)} ${expectSame ? 'same' : 'diff'}  ${a} | ${b}`);
+  }
+}
+console.log(`${failures ? failures : 'no'} failures (threshold ${threshold})`);
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,90 @@
+// src/scripts/import-ifsc.js
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { importIfscRows } from '../services/ifscService.js';
+import { DB_NAME } from '../constants.js';
+
+dotenv.config({ path: './.env' });
+
+const USAGE = `Usage:
+  node src/scripts/import-ifsc.js --file=<path.csv|path.json> [--full]
+The CSV is the RBI "IFSC/MICR of all banks" sheet saved as CSV
+(columns BANK, IFSC, MICR CODE, BRANCH, ADDRESS, STD CODE, CONTACT, CITY, DISTRICT, STATE).
+--full: the file is the complete current list for its banks; their IFSCs missing from it
+are marked inactive.`;
+
+// RBI header variants -> row fields
+const HEADER_FIELDS = {
+  bank: 'bank', bankname: 'bank', ifsc: 'ifsc', ifsccode: 'ifsc', micr: 'micr', micrcode: 'micr',
+  branch: 'branch', branchname: 'branch', address: 'address', contact: 'contact', phone: 'contact',
+  city: 'city', centre: 'city', district: 'district', state: 'state'
+};
+
+// one CSV record -> fields; handles quoted commas and "" escapes
+function splitCsv(line) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { out.push(cur); cur = ''; }
+    else cur += c;
+  }
+  out.push(cur);
+  return out;
+}
+
+async function* csvRows(filePath) {
+  const rl = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  let columns = null;
+  let pending = '';
+  for await (const line of rl) {
+    // a quoted field may span lines
+    pending = pending ? `${pending}\n${line}` : line;
+    if ((pending.match(/"/g) || []).length % 2 === 1) continue;
+    const cells = splitCsv(pending.replace(/^\uFEFF/, ''));
+    pending = '';
+    if (!columns) {
+      columns = cells.map(h => HEADER_FIELDS[h.toLowerCase().replace(/[^a-z]/g, '')] || null);
+      continue;
+    }
+    const row = {};
+    columns.forEach((field, i) => { if (field) row[field] = cells[i]; });
+    yield row;
+  }
+}
+
+async function run(filePath, { full = false } = {}) {
+  const absPath = path.isAbsolute(filePath) ? filePath : path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(absPath)) throw new Error(`IFSC file not found: ${absPath}`);
+  const rows = absPath.endsWith('.json') ? JSON.parse(fs.readFileSync(absPath, 'utf8')) : csvRows(absPath);
+  const totals = await importIfscRows(rows, { source: path.basename(absPath), full });
+  console.log('IFSC import complete', totals);
+}
+
+// CLI
+if (process.argv[1] && process.argv[1].endsWith('import-ifsc.js')) {
+  const fileArg = process.argv.find(a => a.startsWith('--file='));
+  const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!fileArg || !MONGO_URI) {
+    console.log(MONGO_URI ? USAGE : 'MONGODB_URI is not set');
+    process.exit(1);
+  }
+  mongoose.connect(`${MONGO_URI}/${DB_NAME}`)
+    .then(() => run(fileArg.split('=')[1], { full: process.argv.includes('--full') }))
+    .catch(err => {
+      console.error(err.message || err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+export default run;
@@ -0,0 +1,83 @@
+// src/scripts/manage-api-keys.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { DB_NAME } from '../constants.js';
+import { issueApiKey, listApiKeys, revokeApiKey, rotateApiKey, SCOPES } from '../services/apiKeyService.js';
+
+dotenv.config({ path: './.env' });
+
+const USAGE = `Usage:
+  node src/scripts/manage-api-keys.js issue  --client=<id> --scopes=verify,review [--doc-types=PAN,GST] [--manufacturer=<id>] [--name=..] [--expires-days=365]
+  node src/scripts/manage-api-keys.js rotate --key-id=<id> [--grace-hours=24] [--expires-days=365]
+  node src/scripts/manage-api-keys.js revoke --key-id=<id> [--reason=..]
+  node src/scripts/manage-api-keys.js list   [--client=<id>]
+Scopes: ${SCOPES.join(', ')}
+qr:issue keys need --manufacturer; they can only sign codes for that manufacturer's products.`;
+
+function parseArgs(argv) {
+  const args = {};
+  for (const a of argv) {
+    const m = a.match(/^--([^=]+)=(.*)$/);
+    if (m) args[m[1]] = m[2];
+  }
+  return args;
+}
+
+const csv = v => (v ? v.split(',').map(s => s.trim()).filter(Boolean) : []);
+const daysFromNow = d => (d ? new Date(Date.now() + Number(d) * 24 * 60 * 60 * 1000) : null);
+
+async function run(command, args) {
+  switch (command) {
+    case 'issue': {
+      const { key, info } = await issueApiKey({
+        client_id: args.client,
+        name: args.name,
+        scopes: csv(args.scopes),
+        allowed_doc_types: csv(args['doc-types']),
+        manufacturer: args.manufacturer,
+        expires_at: daysFromNow(args['expires-days'])
+      });
+      console.log('Issued key (store it now, it cannot be shown again):\n', key);
+      console.log(info);
+      break;
+    }
+    case 'rotate': {
+      if (!args['key-id']) throw new Error('--key-id is required');
+      const { key, info } = await rotateApiKey(args['key-id'], {
+        graceMs: Number(args['grace-hours'] || 0) * 60 * 60 * 1000,
+        expires_at: args['expires-days'] ? daysFromNow(args['expires-days']) : undefined
+      });
+      console.log(`Rotated ${args['key-id']} -> ${info.key_id} (store it now, it cannot be shown again):\n`, key);
+      console.log(info);
+      break;
+    }
+    case 'revoke': {
+      if (!args['key-id']) throw new Error('--key-id is required');
+      console.log(await revokeApiKey(args['key-id'], args.reason || 'revoked'));
+      break;
+    }
+    case 'list':
+      console.table(await listApiKeys(args.client));
+      break;
+    default:
+      console.log(USAGE);
+      process.exitCode = 1;
+  }
+}
+
+// CLI
+if (process.argv[1] && process.argv[1].endsWith('manage-api-keys.js')) {
+  const [command, ...rest] = process.argv.slice(2);
+  const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!command || !MONGO_URI) {
+    console.log(MONGO_URI ? USAGE : 'MONGODB_URI is not set');
+    process.exit(1);
+  }
+  mongoose.connect(`${MONGO_URI}/${DB_NAME}`)
+    .then(() => run(command, parseArgs(rest)))
+    .catch(err => {
+      console.error(err.message || err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,82 @@
+// src/scripts/manage-signing-keys.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { DB_NAME } from '../constants.js';
+import {
+  createSigningKey, listSigningKeys, revokeSigningKey, rotateDueKeys, rotateSigningKey, SIGNING_ALGS
+} from '../services/signingKeyService.js';
+
+dotenv.config({ path: './.env' });
+
+const USAGE = `Usage:
+  node src/scripts/manage-signing-keys.js create     --manufacturer=<id> [--alg=Ed25519] [--verify-days=3650]
+  node src/scripts/manage-signing-keys.js rotate     --kid=<kid> [--announce-hours=24] [--alg=ES256]
+  node src/scripts/manage-signing-keys.js rotate-due [--max-age-days=$SIGNING_KEY_ROTATION_DAYS|90] [--announce-hours=24]
+  node src/scripts/manage-signing-keys.js revoke     --kid=<kid> [--reason=..]
+  node src/scripts/manage-signing-keys.js list       [--manufacturer=<id>]
+Algorithms: ${SIGNING_ALGS.join(', ')}
+rotate-due is meant for cron, e.g. daily: 0 3 * * * npm run signing-keys -- rotate-due`;
+
+function parseArgs(argv) {
+  const args = {};
+  for (const a of argv) {
+    const m = a.match(/^--([^=]+)=(.*)$/);
+    if (m) args[m[1]] = m[2];
+  }
+  return args;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const hoursMs = h => Number(h || 0) * 60 * 60 * 1000;
+
+async function run(command, args) {
+  switch (command) {
+    case 'create':
+      console.log(await createSigningKey({
+        manufacturer: args.manufacturer,
+        alg: args.alg,
+        verify_until: args['verify-days'] ? new Date(Date.now() + Number(args['verify-days']) * DAY_MS) : null
+      }));
+      break;
+    case 'rotate': {
+      if (!args.kid) throw new Error('--kid is required');
+      const fresh = await rotateSigningKey(args.kid, { announceMs: hoursMs(args['announce-hours']), alg: args.alg });
+      console.log(`Rotated ${args.kid} -> ${fresh.kid} (signs from ${fresh.activates_at.toISOString()})`);
+      break;
+    }
+    case 'rotate-due': {
+      const maxAgeDays = Number(args['max-age-days'] || process.env.SIGNING_KEY_ROTATION_DAYS || 90);
+      const rotated = await rotateDueKeys({ maxAgeMs: maxAgeDays * DAY_MS, announceMs: hoursMs(args['announce-hours']) });
+      if (rotated.length) console.table(rotated);
+      else console.log(`No keys older than ${maxAgeDays} days`);
+      break;
+    }
+    case 'revoke':
+      if (!args.kid) throw new Error('--kid is required');
+      console.log(await revokeSigningKey(args.kid, args.reason || 'revoked'));
+      break;
+    case 'list':
+      console.table((await listSigningKeys({ manufacturer: args.manufacturer })).map(({ public_key, ...k }) => k));
+      break;
+    default:
+      console.log(USAGE);
+      process.exitCode = 1;
+  }
+}
+
+// CLI
+if (process.argv[1] && process.argv[1].endsWith('manage-signing-keys.js')) {
+  const [command, ...rest] = process.argv.slice(2);
+  const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!command || !MONGO_URI) {
+    console.log(MONGO_URI ? USAGE : 'MONGODB_URI is not set');
+    process.exit(1);
+  }
+  mongoose.connect(`${MONGO_URI}/${DB_NAME}`)
+    .then(() => run(command, parseArgs(rest)))
+    .catch(err => {
+      console.error(err.message || err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
@@ -3,7 +3,8 @@ import fs from 'fs';
 import path from 'path';
 import mongoose from 'mongoose';
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
-import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
+import { normalizeId, normalizeName, recordBlockKeys, sha256Hex } from '../utils/hash.js';
+import { detectScript } from '../utils/transliterate.js';
 import { DB_NAME } from '../constants.js';
 
 async function seed(filePath, mongoUri) {
@@ -19,7 +20,9 @@ async function seed(filePath, mongoUri) {
     const rawId = item.raw_id || item.id_masked || item.lookup_key || '';
     const normalized = normalizeId(rawId);
     const id_hash = normalized ? sha256Hex(normalized) : undefined;
-    const canonical_name = normalizeName(item.canonical_name || item.name || '');
+    const sourceName = item.canonical_name || item.name || '';
+    const canonical_name = normalizeName(sourceName);
+    const native_script = detectScript(sourceName);
     const filter = id_hash ? { doc_type: item.doc_type, id_hash } : { doc_type: item.doc_type, lookup_key: item.lookup_key };
     const update = {
       $set: {
@@ -28,9 +31,12 @@ async function seed(filePath, mongoUri) {
         id_hash: id_hash || null,
         id_masked: item.id_masked || item.raw_id || null,
         canonical_name,
+        native_name: native_script ? sourceName : null,
+        native_script,
         dob: item.dob ? new Date(item.dob) : null,
         address: item.address || null,
         raw: item.raw || {},
+        block_keys: recordBlockKeys({ ...item, canonical_name }),
         source: item.source || 'seed',
         updated_at: new Date()
       },
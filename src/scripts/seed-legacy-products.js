@@ -0,0 +1,59 @@
+// src/scripts/seed-legacy-products.js
+// One-off migration of the products that were hard-coded in verifyProductQrController
+// before the registry existed. Codes already printed for them are signed with the old
+// shared secret, so it is registered as the product secret rather than a fresh one.
+// The secret is read from the environment so it does not go back into the source.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { DB_NAME } from '../constants.js';
+import { registerProduct } from '../services/productRegistryService.js';
+
+dotenv.config({ path: './.env' });
+
+const USAGE = `Usage:
+  LEGACY_PRODUCT_SECRET=<old sec_pass> node src/scripts/seed-legacy-products.js [--manufacturer=<id>]
+Requires PRODUCT_SECRET_KEY (see utils/secretBox.js). Products already registered are skipped.`;
+
+// as they were in the PRODUCTS map; printed codes carry no batch secret of their own
+const LEGACY_PRODUCTS = [
+  { product_id: 'PROD-ASH-001', name: 'Ashwagandha 60 caps', batches: [{ batch_id: 'BATCH-202509' }] }
+];
+
+function parseArgs(argv) {
+  const args = {};
+  for (const a of argv) {
+    const m = a.match(/^--([^=]+)=(.*)$/);
+    if (m) args[m[1]] = m[2];
+  }
+  return args;
+}
+
+async function run({ secret, manufacturer }) {
+  for (const product of LEGACY_PRODUCTS) {
+    try {
+      await registerProduct({ ...product, manufacturer, secret, created_by: 'seed-legacy-products' });
+      console.log(`Registered ${product.product_id} (${product.batches.map(b => b.batch_id).join(', ')})`);
+    } catch (err) {
+      if (err.code !== 'product_exists') throw err;
+      console.log(`Skipped ${product.product_id}: already registered`);
+    }
+  }
+}
+
+// CLI
+if (process.argv[1] && process.argv[1].endsWith('seed-legacy-products.js')) {
+  const args = parseArgs(process.argv.slice(2));
+  const secret = process.env.LEGACY_PRODUCT_SECRET;
+  const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!secret || !MONGO_URI) {
+    console.log(MONGO_URI ? USAGE : 'MONGODB_URI is not set');
+    process.exit(1);
+  }
+  mongoose.connect(`${MONGO_URI}/${DB_NAME}`)
+    .then(() => run({ secret, manufacturer: args.manufacturer }))
+    .catch(err => {
+      console.error(err.message || err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
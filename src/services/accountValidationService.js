@@ -0,0 +1,119 @@
+// src/services/accountValidationService.js
+import fs from 'fs';
+import { createCircuitBreaker, withTimeout } from '../utils/circuitBreaker.js';
+
+/**
+ * Bank account validation (penny drop / name lookup) behind a provider adapter.
+ * A provider is { name, validateAccount({ account_no, ifsc }) } resolving to
+ *   { status: 'VALID' | 'INVALID' | 'NOT_FOUND', beneficiary_name, reference }
+ * Selected with ACCOUNT_VALIDATION_PROVIDER = none (default) | mock | http.
+ */
+
+// read per call: src/index.js loads .env after the app modules are imported
+const timeoutMs = () => parseInt(process.env.ACCOUNT_VALIDATION_TIMEOUT_MS || '5000', 10);
+
+/**
+ * Local provider for dev/test. Accounts come from ACCOUNT_VALIDATION_MOCK_FILE
+ * (JSON: { "<ifsc>:<account_no>": { "status": "VALID", "beneficiary_name": ".." } }).
+ * Account numbers ending in 0000 are INVALID, 9999 never answer (timeout), 8888 fail.
+ */
+export function createMockProvider({ accounts = {}, latencyMs = 0 } = {}) {
+  return {
+    name: 'mock',
+    async validateAccount({ account_no, ifsc }) {
+      if (latencyMs) await new Promise(r => setTimeout(r, latencyMs));
+      if (account_no.endsWith('9999')) return new Promise(() => {});
+      if (account_no.endsWith('8888')) throw new Error('mock provider failure');
+      const ref = `mock-${Date.now()}`;
+      if (account_no.endsWith('0000')) return { status: 'INVALID', beneficiary_name: null, reference: ref };
+      const hit = accounts[`${ifsc}:${account_no}`];
+      if (!hit) return { status: 'NOT_FOUND', beneficiary_name: null, reference: ref };
+      return { status: hit.status || 'VALID', beneficiary_name: hit.beneficiary_name || null, reference: ref };
+    }
+  };
+}
+
+/**
+ * Generic JSON-over-HTTPS provider: POST { account_number, ifsc } to ACCOUNT_VALIDATION_URL,
+ * expects { account_exists, name_at_bank, reference_id }.
+ */
+export function createHttpProvider({ url, apiKey }) {
+  if (!url) throw new Error('ACCOUNT_VALIDATION_URL is not set');
+  return {
+    name: 'http',
+    async validateAccount({ account_no, ifsc }) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs());
+      try {
+        const res = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+          body: JSON.stringify({ account_number: account_no, ifsc }),
+          signal: controller.signal
+        });
+        if (res.status === 404) return { status: 'NOT_FOUND', beneficiary_name: null, reference: null };
+        if (!res.ok) throw new Error(`provider responded ${res.status}`);
+        const body = await res.json();
+        return {
+          status: body.account_exists ? 'VALID' : 'INVALID',
+          beneficiary_name: body.name_at_bank || null,
+          reference: body.reference_id || null
+        };
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+function providerFromEnv() {
+  switch ((process.env.ACCOUNT_VALIDATION_PROVIDER || 'none').toLowerCase()) {
+    case 'mock': {
+      const file = process.env.ACCOUNT_VALIDATION_MOCK_FILE;
+      const accounts = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+      return createMockProvider({ accounts });
+    }
+    case 'http':
+      return createHttpProvider({ url: process.env.ACCOUNT_VALIDATION_URL, apiKey: process.env.ACCOUNT_VALIDATION_API_KEY });
+    default:
+      return null;
+  }
+}
+
+let provider;
+let breaker;
+
+// built on first use for the same reason; setAccountValidationProvider overrides it (tests)
+function current() {
+  if (provider === undefined) provider = providerFromEnv();
+  if (!breaker) {
+    breaker = createCircuitBreaker({
+      failureThreshold: parseInt(process.env.ACCOUNT_VALIDATION_CB_FAILURES || '5', 10),
+      cooldownMs: parseInt(process.env.ACCOUNT_VALIDATION_CB_COOLDOWN_MS || '30000', 10)
+    });
+  }
+  return { provider, breaker };
+}
+
+export function setAccountValidationProvider(p, breakerOpts) {
+  provider = p;
+  breaker = breakerOpts ? createCircuitBreaker(breakerOpts) : null;
+}
+
+/**
+ * Validate an account with the configured provider. Never throws:
+ * returns { provider, status, beneficiary_name, reference, error } where status is
+ * VALID | INVALID | NOT_FOUND, or UNAVAILABLE (disabled, timeout, provider error, circuit open).
+ */
+export async function validateBankAccount({ account_no, ifsc }) {
+  const { provider: p, breaker: cb } = current();
+  if (!p) return { provider: null, status: 'UNAVAILABLE', beneficiary_name: null, reference: null, error: 'provider_disabled' };
+  try {
+    const result = await cb.exec(() => withTimeout(p.validateAccount({ account_no, ifsc }), timeoutMs()));
+    return { provider: p.name, ...result, error: null };
+  } catch (err) {
+    const error = err.code === 'timeout' || err.code === 'circuit_open' ? err.code : 'provider_error';
+    if (error === 'provider_error') console.error('account validation provider error', err.message);
+    return { provider: p.name, status: 'UNAVAILABLE', beneficiary_name: null, reference: null, error };
+  }
+}
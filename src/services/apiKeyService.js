@@ -0,0 +1,128 @@
+// src/services/apiKeyService.js
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import { sha256Hex } from '../utils/hash.js';
+
+export const SCOPES = ['verify', 'verifications:read', 'review', 'products:admin', 'qr:issue'];
+
+const KEY_PREFIX = 'dvk';
+
+/**
+ * Keys look like dvk_<key_id>_<secret>. Only sha256(key) is persisted,
+ * so a leaked database cannot be replayed against the API.
+ */
+function generateKey() {
+  const key_id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}_${key_id}_${secret}`;
+  return { key, key_id, key_hash: sha256Hex(key) };
+}
+
+function toKeyInfo(doc) {
+  return {
+    key_id: doc.key_id,
+    client_id: doc.client_id,
+    name: doc.name || null,
+    scopes: doc.scopes || [],
+    allowed_doc_types: doc.allowed_doc_types || [],
+    manufacturer: doc.manufacturer || null,
+    expires_at: doc.expires_at || null,
+    revoked_at: doc.revoked_at || null,
+    rotated_from: doc.rotated_from || null,
+    last_used_at: doc.last_used_at || null,
+    created_at: doc.created_at
+  };
+}
+
+/**
+ * Issue a new key. Returns { key, info }; `key` is only ever available here.
+ * Keys with the qr:issue scope must name the manufacturer whose products they may sign.
+ */
+export async function issueApiKey({
+  client_id, name, scopes = [], allowed_doc_types = [], manufacturer = null, expires_at = null, rotated_from = null
+}) {
+  if (!client_id) throw new Error('client_id is required');
+  const unknown = scopes.filter(s => !SCOPES.includes(s));
+  if (unknown.length) throw new Error(`unknown scopes: ${unknown.join(', ')}`);
+  if (scopes.includes('qr:issue') && !manufacturer) throw new Error('manufacturer is required for the qr:issue scope');
+
+  const { key, key_id, key_hash } = generateKey();
+  const doc = await ApiKey.create({
+    key_id, key_hash, client_id, name, scopes,
+    allowed_doc_types: allowed_doc_types.map(t => t.toUpperCase()),
+    manufacturer, expires_at, rotated_from
+  });
+  return { key, info: toKeyInfo(doc) };
+}
+
+// still accepted now: never revoked, or inside the grace period of a rotation
+const stillActive = (now = new Date()) => ({ $or: [{ revoked_at: null }, { revoked_at: { $gt: now } }] });
+
+/**
+ * Revoke a key at `at` (default now). A key in its rotation grace period can still be
+ * revoked, e.g. when it leaks before the period ends.
+ */
+export async function revokeApiKey(keyId, reason = 'revoked', at = new Date()) {
+  const doc = await ApiKey.findOneAndUpdate(
+    { key_id: keyId, ...stillActive() },
+    { $set: { revoked_at: at, revoked_reason: reason } },
+    { new: true }
+  ).lean();
+  if (!doc) throw new Error(`no active key with id ${keyId}`);
+  return toKeyInfo(doc);
+}
+
+/**
+ * Replace a key with a fresh one carrying the same client/scopes/doc types.
+ * The old key keeps working for graceMs so clients can roll over; rotating it again within
+ * an earlier grace period never extends that period.
+ */
+export async function rotateApiKey(keyId, { graceMs = 0, expires_at } = {}) {
+  const old = await ApiKey.findOne({ key_id: keyId, ...stillActive() }).lean();
+  if (!old) throw new Error(`no active key with id ${keyId}`);
+  const issued = await issueApiKey({
+    client_id: old.client_id,
+    name: old.name,
+    scopes: old.scopes,
+    allowed_doc_types: old.allowed_doc_types,
+    manufacturer: old.manufacturer,
+    expires_at: expires_at === undefined ? old.expires_at : expires_at,
+    rotated_from: old.key_id
+  });
+  const graceEnd = Math.min(Date.now() + graceMs, old.revoked_at ? new Date(old.revoked_at).getTime() : Infinity);
+  await revokeApiKey(old.key_id, `rotated_to_${issued.info.key_id}`, new Date(graceEnd));
+  return issued;
+}
+
+export async function listApiKeys(clientId) {
+  const query = clientId ? { client_id: clientId } : {};
+  const docs = await ApiKey.find(query).sort({ created_at: -1 }).lean();
+  return docs.map(toKeyInfo);
+}
+
+/**
+ * Resolve a presented key. Returns { client, error } where error is one of
+ * invalid_api_key | api_key_revoked | api_key_expired.
+ */
+export async function resolveApiKey(rawKey) {
+  if (!rawKey || !rawKey.startsWith(`${KEY_PREFIX}_`)) return { error: 'invalid_api_key' };
+  const doc = await ApiKey.findOne({ key_hash: sha256Hex(rawKey) }).lean();
+  if (!doc) return { error: 'invalid_api_key' };
+
+  const now = new Date();
+  if (doc.revoked_at && doc.revoked_at <= now) return { error: 'api_key_revoked' };
+  if (doc.expires_at && doc.expires_at <= now) return { error: 'api_key_expired' };
+
+  // best-effort usage tracking; never block the request on it
+  ApiKey.updateOne({ _id: doc._id }, { $set: { last_used_at: now } }).catch(err => console.error('api key last_used_at update failed', err));
+
+  return {
+    client: {
+      client_id: doc.client_id,
+      key_id: doc.key_id,
+      scopes: doc.scopes || [],
+      allowed_doc_types: doc.allowed_doc_types || [],
+      manufacturer: doc.manufacturer || null
+    }
+  };
+}
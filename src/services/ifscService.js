@@ -0,0 +1,175 @@
+// src/services/ifscService.js
+import IfscBranch from '../models/IfscBranch.js';
+import { nameSimilarity } from './matchingService.js';
+import { nameTokens } from '../utils/hash.js';
+
+export const IFSC_REGEX = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+const normalizeIfsc = v => (v || '').toString().replace(/\s+/g, '').toUpperCase();
+
+export async function lookupIfsc(ifsc) {
+  const code = normalizeIfsc(ifsc);
+  if (!IFSC_REGEX.test(code)) return null;
+  return await IfscBranch.findOne({ ifsc: code }).lean();
+}
+
+export async function lookupMicr(micr) {
+  if (!/^[0-9]{9}$/.test(micr || '')) return [];
+  return await IfscBranch.find({ micr, active: { $ne: false } }).limit(20).lean();
+}
+
+// words that never distinguish one bank from another
+const BANK_NOISE = new Set(['limited', 'private', 'company', 'bank', 'the', 'of', 'and']);
+
+/**
+ * Does a printed bank name refer to the directory's bank? Accepts acronyms
+ * ("SBI" / "State Bank of India") and suffix differences ("HDFC Bank Ltd").
+ */
+export function bankNameMatches(printed, directoryBank) {
+  const a = nameTokens(printed);
+  const b = nameTokens(directoryBank);
+  if (!a.length || !b.length) return false;
+  const initials = t => t.filter(w => !['of', 'and', 'the'].includes(w)).map(w => w[0]).join('');
+  if (a.length === 1 && a[0] === initials(b)) return true;
+  if (b.length === 1 && b[0] === initials(a)) return true;
+  const core = t => t.filter(w => !BANK_NOISE.has(w)).join(' ');
+  return nameSimilarity(core(a) || a.join(' '), core(b) || b.join(' ')) >= 0.8;
+}
+
+// shorter branch text than this ("A", "GT") cannot vouch for a branch by containment
+const MIN_BRANCH_CHARS = 3;
+// words shared by many branch names, ignored when one name is contained in the other
+const BRANCH_NOISE = new Set(['branch', 'main', 'road', 'east', 'west', 'north', 'south', 'city', 'market', 'bazar']);
+
+// every distinctive word of xs appears in ys ("Andheri" within "Andheri East", but not "East")
+function tokensWithin(xs, ys) {
+  const own = xs.filter(t => !BRANCH_NOISE.has(t));
+  return own.join('').length >= MIN_BRANCH_CHARS && own.every(t => ys.includes(t));
+}
+
+/**
+ * Does a printed branch name agree with the directory branch (or its city)?
+ */
+export function branchMatches(printed, entry) {
+  const p = nameTokens(printed);
+  if (p.join('').length < MIN_BRANCH_CHARS) return false;
+  return [entry.branch, entry.city].filter(Boolean).some(v => {
+    const d = nameTokens(v);
+    return tokensWithin(p, d) || tokensWithin(d, p) || nameSimilarity(p.join(' '), d.join(' ')) >= 0.75;
+  });
+}
+
+/**
+ * Check an IFSC (and the printed bank / branch) against the directory.
+ * Returns { entry, ifsc_exists, bank_name_match, branch_match, reasons } where a null
+ * score means "not checked": no bank_name/branch given, or the directory holds no
+ * branches for that bank yet. An IFSC dropped from the RBI master (closed or merged
+ * branch) counts as not existing.
+ */
+export async function checkIfsc({ ifsc, bank_name, branch }) {
+  const out = { entry: null, ifsc_exists: null, bank_name_match: null, branch_match: null, reasons: [] };
+  const code = normalizeIfsc(ifsc);
+  if (!IFSC_REGEX.test(code)) return out;
+
+  out.entry = await lookupIfsc(code);
+  if (!out.entry) {
+    const bankKnown = await IfscBranch.exists({ bank_code: code.slice(0, 4) });
+    if (!bankKnown) {
+      out.reasons.push('ifsc_directory_has_no_bank');
+      return out;
+    }
+    out.ifsc_exists = 0;
+    out.reasons.push('ifsc_not_found');
+    return out;
+  }
+  if (out.entry.active === false) {
+    out.ifsc_exists = 0;
+    out.reasons.push('ifsc_inactive');
+    return out;
+  }
+
+  out.ifsc_exists = 1;
+  if (bank_name) {
+    out.bank_name_match = bankNameMatches(bank_name, out.entry.bank) ? 1 : 0;
+    if (!out.bank_name_match) out.reasons.push('ifsc_bank_name_mismatch');
+  }
+  if (branch) {
+    out.branch_match = branchMatches(branch, out.entry) ? 1 : 0;
+    if (!out.branch_match) out.reasons.push('ifsc_branch_mismatch');
+  }
+  return out;
+}
+
+/**
+ * Does a cheque's 9-digit MICR code belong to the IFSC's branch?
+ * 1 = same branch, 0.5 = same bank other branch, 0 = another bank, null = directory cannot tell.
+ */
+export async function micrMatchesIfsc(micr, ifscEntry) {
+  if (!ifscEntry || !/^[0-9]{9}$/.test(micr || '')) return null;
+  if (ifscEntry.micr === micr) return 1;
+  const branches = await lookupMicr(micr);
+  if (!branches.length) return ifscEntry.micr ? 0 : null;
+  return branches.some(b => b.bank_code === ifscEntry.bank_code) ? 0.5 : 0;
+}
+
+/**
+ * Upsert directory rows ({ ifsc, bank, branch, address, city, district, state, contact, micr })
+ * from an array or an async iterable (streamed CSV).
+ * With full: true the rows are the complete list for every bank they mention, so that
+ * bank's IFSCs missing from them are marked inactive (RBI drops closed / merged branches).
+ * Returns { upserted, modified, skipped, deactivated }.
+ */
+export async function importIfscRows(rows, { source = 'import', batchSize = 1000, full = false } = {}) {
+  let ops = [];
+  const totals = { upserted: 0, modified: 0, skipped: 0, deactivated: 0 };
+  const importedAt = new Date();
+  const banks = new Set();
+  const flush = async () => {
+    if (!ops.length) return;
+    const res = await IfscBranch.bulkWrite(ops, { ordered: false });
+    totals.upserted += res.upsertedCount;
+    totals.modified += res.modifiedCount;
+    ops = [];
+  };
+
+  for await (const row of rows) {
+    const ifsc = normalizeIfsc(row.ifsc);
+    if (!IFSC_REGEX.test(ifsc) || !row.bank) { totals.skipped++; continue; }
+    const micr = (row.micr || '').toString().replace(/\D/g, '');
+    banks.add(ifsc.slice(0, 4));
+    ops.push({
+      updateOne: {
+        filter: { ifsc },
+        update: {
+          $set: {
+            bank_code: ifsc.slice(0, 4),
+            bank: row.bank.trim(),
+            branch: row.branch?.trim() || null,
+            address: row.address?.trim() || null,
+            city: row.city?.trim() || null,
+            district: row.district?.trim() || null,
+            state: row.state?.trim() || null,
+            contact: row.contact?.toString().trim() || null,
+            micr: micr.length === 9 ? micr : null,
+            source,
+            imported_at: importedAt,
+            active: true
+          },
+          $unset: { deactivated_at: 1 }
+        },
+        upsert: true
+      }
+    });
+    if (ops.length >= batchSize) await flush();
+  }
+  await flush();
+
+  if (full && banks.size) {
+    const res = await IfscBranch.updateMany(
+      { bank_code: { $in: [...banks] }, imported_at: { $ne: importedAt }, active: { $ne: false } },
+      { $set: { active: false, deactivated_at: importedAt } }
+    );
+    totals.deactivated = res.modifiedCount;
+  }
+  return totals;
+}
@@ -1,6 +1,6 @@
 // src/services/matchingService.js
 import AuthoritativeRecord from '../models/AuthoritativeRecord.js';
-import { normalizeId, normalizeName, sha256Hex } from '../utils/hash.js';
+import { addressBlockKeys, nameBlockKeys, nameTokens, normalizeId, phoneticKey, sha256Hex } from '../utils/hash.js';
 import levenshtein from 'fast-levenshtein';
 
 /**
@@ -17,33 +17,378 @@ export async function exactLookupById(docType, rawId) {
 }
 
 /**
- * Fuzzy lookup by name + dob (dob optional). Returns {record, score} or null.
- * Uses simple levenshtein-based similarity; tuned threshold.
+ * Levenshtein similarity of two already-normalized strings (0..1)
+ */
+export function stringSimilarity(a, b) {
+  const x = a || '';
+  const y = b || '';
+  if (!x && !y) return 0;
+  const dist = levenshtein.get(x, y);
+  const maxLen = Math.max(x.length, y.length, 1);
+  return 1 - (dist / maxLen);
+}
+
+// a shared phonetic key only nudges the edit-distance score ("Saritha"/"Sarita")
+const PHONETIC_BONUS = 0.05;
+
+// edit-distance loss multipliers for tokens whose phonetic keys differ: a changed vowel or
+// semivowel may still be one spelling ("Chowdhury"/"Choudhary", though not "Sunil"/"Sonal"),
+// a changed consonant is another name ("Ramesh"/"Rakesh") and must sink a full-name match
+const VOWEL_MISMATCH_PENALTY = 2;
+const CONSONANT_MISMATCH_PENALTY = 5;
+
+// consonants of a phonetic key (v and the y that became i are semivowels)
+const consonantsOf = key => key.replace(/[aiuv]/g, '').replace(/(.)\1+/g, '$1');
+
+// similarity of two name tokens: exact, initial vs full word, else edit distance, nudged up
+// for the same phonetic key and penalised when the keys differ
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length === 1 || b.length === 1) return a[0] === b[0] ? 0.85 : 0;
+  const pa = phoneticKey(a);
+  const pb = phoneticKey(b);
+  const lev = stringSimilarity(a, b);
+  if (pa && pa === pb) return Math.min(1, lev + PHONETIC_BONUS);
+  const penalty = consonantsOf(pa) === consonantsOf(pb) ? VOWEL_MISMATCH_PENALTY : CONSONANT_MISMATCH_PENALTY;
+  return Math.max(0, 1 - penalty * (1 - lev));
+}
+
+// summed best-token similarity of xs against ys
+function alignTokens(xs, ys) {
+  let sum = 0;
+  for (const x of xs) sum += Math.max(...ys.map(y => tokenSimilarity(x, y)));
+  return sum;
+}
+
+/**
+ * Name similarity (0..1) tolerant to Indian naming conventions: word order ("Ghosh Arnab"),
+ * dropped middle names, initials ("A K Ghosh"), honorifics, abbreviations ("Mohd") and
+ * transliteration variants ("Sarita"/"Saritha"). Best of symmetric token-alignment and, when
+ * token counts differ ("Ramkumar"/"Ram Kumar"), the joined-token score. (A whole-string score
+ * over sorted tokens is not used: one changed letter in "Ramesh Gupta" is lost in its length.)
+ */
+export function nameSimilarity(a, b) {
+  const x = nameTokens(a);
+  const y = nameTokens(b);
+  if (!x.length || !y.length) return 0;
+  const joined = x.length !== y.length ? stringSimilarity(x.join(''), y.join('')) : 0;
+  const aligned = (alignTokens(x, y) + alignTokens(y, x)) / (x.length + y.length);
+  return Math.max(joined, aligned);
+}
+
+function normalizeText(s) {
+  return (s ?? '').toString().toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+function isoDay(d) {
+  const date = new Date(d);
+  return isNaN(date) ? null : date.toISOString().slice(0, 10);
+}
+
+const COMPARATORS = {
+  name: (a, b) => nameSimilarity(a, b),
+  text: (a, b) => stringSimilarity(normalizeText(a), normalizeText(b)),
+  date: (a, b) => (isoDay(a) && isoDay(a) === isoDay(b) ? 1 : 0),
+  exact: (a, b) => (normalizeText(a) === normalizeText(b) ? 1 : 0)
+};
+
+function escapeRegex(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+// leading words of a value as a case-insensitive regex, used to narrow candidate sets
+function leadingWordsRegex(value, words) {
+  const frag = value.toString().trim().split(/\s+/).slice(0, words).join(' ');
+  return { $regex: escapeRegex(frag), $options: 'i' };
+}
+
+/**
+ * How each matchable attribute is read off an AuthoritativeRecord and compared.
+ * `filter` turns an input value into a hard query constraint (weight 0 = filter only).
+ * `block` derives blocking keys from an input value (matched against AuthoritativeRecord.block_keys).
+ * Profiles below may override any of these per doc type.
+ */
+const FIELD_DEFAULTS = {
+  name: { compare: 'name', block: nameBlockKeys, get: r => r.canonical_name || r.raw?.name },
+  dob: { compare: 'date', get: r => r.dob },
+  address: { compare: 'text', block: addressBlockKeys, get: r => r.address || r.raw?.address || r.raw?.registered_office_address },
+  authority: { compare: 'name', block: nameBlockKeys, get: r => r.canonical_name || r.raw?.authority_name },
+  distributor: { compare: 'text', get: r => r.raw?.distributor_name },
+  bank: { compare: 'text', get: r => r.raw?.bank_name },
+  council: { compare: 'name', block: nameBlockKeys, get: r => r.raw?.council_name || r.canonical_name },
+  scheme: { compare: 'text', get: r => r.scope || r.raw?.scheme_name },
+  owner: { compare: 'name', block: nameBlockKeys, get: r => r.raw?.owner_name },
+  nationality: { compare: 'exact', get: r => r.raw?.nationality }
+};
+
+const dobFilter = v => ({ dob: new Date(v) });
+
+/**
+ * Per-doc-type matching profiles.
+ *  doc_types  - record types searched (callers may override, e.g. for NOC subtypes)
+ *  fields     - field -> { weight, filter?, compare?, get? } (merged over FIELD_DEFAULTS)
+ *  stages     - narrowing queries tried in order; the first applicable one also filters the
+ *               blocked search, and the first one returning candidates wins when that is empty
+ *  broaden    - fall back to un-narrowed blocking, then the whole doc type, when every stage
+ *               is empty (default true); when false the stages are hard constraints
+ *  threshold  - minimum weighted score; overridable with MATCH_THRESHOLD_<PROFILE>
+ *  limit      - candidate cap per query
+ */
+export const MATCH_PROFILES = {
+  PERSON: {
+    doc_types: ['PROMOTER_KYC', 'PAN', 'TECH_CERT'],
+    fields: { name: { weight: 1 }, dob: { weight: 0, filter: dobFilter } },
+    threshold: 0.65, match_type: 'fuzzy_name_dob'
+  },
+  PAN: {
+    doc_types: ['PAN'],
+    fields: { name: { weight: 1 }, dob: { weight: 0, filter: dobFilter } },
+    threshold: 0.65, match_type: 'fuzzy_name_dob'
+  },
+  AADHAAR: {
+    doc_types: ['AADHAAR'],
+    fields: { name: { weight: 1 }, dob: { weight: 0, filter: dobFilter } },
+    stages: [input => (input.last4 ? { id_masked: { $regex: `${escapeRegex(input.last4)}$` } } : null)],
+    threshold: 0.65, match_type: 'fuzzy_name_dob'
+  },
+  INCORP: {
+    doc_types: ['INCORP'],
+    fields: { name: { weight: 1 }, dob: { weight: 0, filter: dobFilter } },
+    threshold: 0.65, match_type: 'fuzzy_name_date'
+  },
+  GST: {
+    doc_types: ['GST'],
+    fields: { name: { weight: 1 }, dob: { weight: 0, filter: dobFilter } },
+    threshold: 0.62, match_type: 'fuzzy_name_date'
+  },
+  PROMOTER_KYC: {
+    doc_types: ['PROMOTER_KYC', 'PAN', 'TECH_CERT'],
+    fields: { name: { weight: 0.75 }, dob: { weight: 0.25 } },
+    threshold: 0.65, limit: 300, match_type: 'fuzzy_name_dob'
+  },
+  PASSPORT: {
+    doc_types: ['PASSPORT', 'PROMOTER_KYC'],
+    fields: { name: { weight: 0.65 }, dob: { weight: 0.25 }, nationality: { weight: 0.1 } },
+    threshold: 0.66, limit: 500, match_type: 'fuzzy_name_dob'
+  },
+  TECH_CERT: {
+    doc_types: ['TECH_CERT'],
+    fields: { name: { weight: 0.7 }, council: { weight: 0.3 } },
+    stages: [input => (input.council ? { 'raw.council_name': leadingWordsRegex(input.council, 4) } : null)],
+    threshold: 0.66, match_type: 'fuzzy_name_council'
+  },
+  PRACTITIONER: {
+    doc_types: ['TECH_CERT', 'PROMOTER_KYC', 'PAN'],
+    fields: { name: { weight: 1, get: r => r.canonical_name || r.raw?.name || r.raw?.practitioner_name } },
+    threshold: 0.62, limit: 400, match_type: 'fuzzy_name'
+  },
+  CLINICAL_REG: {
+    doc_types: ['CLINICAL_REG'],
+    fields: { name: { weight: 1, get: r => r.canonical_name || r.raw?.name || r.raw?.practitioner_name } },
+    threshold: 0.58, limit: 400, match_type: 'fuzzy_name'
+  },
+  PREMISES: {
+    doc_types: ['LEASE', 'UTILITY', 'INCORP'],
+    fields: { address: { weight: 1 } },
+    stages: [input => (input.address ? { address: leadingWordsRegex(input.address, 4) } : null)],
+    broaden: false, threshold: 0.62, match_type: 'fuzzy_address'
+  },
+  LEASE: {
+    doc_types: ['LEASE'],
+    fields: { address: { weight: 0.6, get: r => r.address }, name: { weight: 0.4, get: r => r.canonical_name || r.raw?.lessor_name } },
+    stages: [input => (input.address ? { address: leadingWordsRegex(input.address, 4) } : null)],
+    threshold: 0.6, match_type: 'fuzzy_address_name'
+  },
+  UTILITY: {
+    doc_types: ['UTILITY'],
+    fields: { address: { weight: 0.65, get: r => r.address }, name: { weight: 0.35, get: r => r.canonical_name || r.raw?.consumer_name } },
+    stages: [input => (input.address ? { address: leadingWordsRegex(input.address, 4) } : null)],
+    threshold: 0.62, match_type: 'fuzzy_name_address'
+  },
+  ELECTRICITY_BILL: {
+    doc_types: ['ELECTRICITY_BILL', 'UTILITY'],
+    fields: {
+      name: { weight: 0.7, get: r => r.canonical_name || r.raw?.consumer_name || r.raw?.account_name },
+      distributor: { weight: 0.15 },
+      address: { weight: 0.15, get: r => r.address }
+    },
+    stages: [
+      input => (input.distributor ? { 'raw.distributor_name': leadingWordsRegex(input.distributor, 3) } : null),
+      input => (input.address ? { address: leadingWordsRegex(input.address, 4) } : null)
+    ],
+    threshold: 0.62, limit: 500, match_type: 'fuzzy_name_address_discom'
+  },
+  BANK_CHEQUE: {
+    doc_types: ['BANK_CHEQUE'],
+    fields: { name: { weight: 0.75, get: r => r.canonical_name || r.raw?.account_holder_name }, bank: { weight: 0.25 } },
+    stages: [input => (input.bank ? { 'raw.bank_name': leadingWordsRegex(input.bank, 3) } : null)],
+    threshold: 0.62, match_type: 'fuzzy_name_bank'
+  },
+  NOC: {
+    doc_types: ['FIRE_NOC', 'POLLUTION_NOC', 'BIO_NOC'],
+    fields: { authority: { weight: 0.7 }, address: { weight: 0.3, get: r => r.address } },
+    stages: [input => (input.address ? { address: leadingWordsRegex(input.address, 4) } : null)],
+    threshold: 0.6, match_type: 'fuzzy_authority_address'
+  },
+  GMP: {
+    doc_types: ['GMP'],
+    fields: { name: { weight: 0.7, get: r => r.canonical_name || r.raw?.lab_name }, scheme: { weight: 0.3 } },
+    stages: [input => (input.scheme ? { scope: leadingWordsRegex(input.scheme, 3) } : null)],
+    threshold: 0.6, match_type: 'fuzzy_lab_scheme'
+  },
+  PRODUCT_DOSSIER: {
+    doc_types: ['PRODUCT_DOSSIER'],
+    fields: { name: { weight: 1, get: r => r.product_name || r.canonical_name || r.raw?.product_name } },
+    threshold: 0.65, limit: 500, match_type: 'fuzzy_name'
+  },
+  LOAN_AGREEMENT: {
+    doc_types: ['LOAN_AGREEMENT'],
+    fields: { name: { weight: 1 } },
+    threshold: 0.58, limit: 500, match_type: 'fuzzy_title'
+  },
+  TRADEMARK: {
+    doc_types: ['TRADEMARK'],
+    fields: { name: { weight: 0.8, compare: 'text', get: r => r.raw?.mark_name || r.canonical_name }, owner: { weight: 0.2 } },
+    stages: [input => (input.class ? { 'raw.class': { $regex: escapeRegex(String(input.class)), $options: 'i' } } : null)],
+    broaden: false, threshold: 0.62, limit: 500, match_type: 'fuzzy_mark_owner'
+  },
+  WATER_LAB: {
+    doc_types: ['WATER_LAB'],
+    fields: { name: { weight: 1, get: r => r.canonical_name || r.raw?.lab_name } },
+    threshold: 0.7, limit: 500, match_type: 'fuzzy_lab_name'
+  }
+};
+
+function resolveProfile(profileKey) {
+  const base = MATCH_PROFILES[profileKey];
+  if (!base) throw new Error(`unknown match profile: ${profileKey}`);
+  const fields = {};
+  for (const [k, spec] of Object.entries(base.fields)) fields[k] = { ...FIELD_DEFAULTS[k], ...spec };
+  const envThreshold = parseFloat(process.env[`MATCH_THRESHOLD_${profileKey}`]);
+  return {
+    limit: 200,
+    broaden: true,
+    stages: [],
+    ...base,
+    fields,
+    threshold: Number.isFinite(envThreshold) ? envThreshold : base.threshold
+  };
+}
+
+const present = v => v !== undefined && v !== null && v !== '';
+
+/**
+ * Weighted score of one record against the input. Only fields present in the
+ * input count, with their weights renormalized, so a missing optional attribute
+ * neither helps nor hurts. Returns { score, field_scores }.
+ */
+export function scoreRecord(profileKey, input, record) {
+  const profile = typeof profileKey === 'string' ? resolveProfile(profileKey) : profileKey;
+  const field_scores = {};
+  let weighted = 0;
+  let weightSum = 0;
+  for (const [field, spec] of Object.entries(profile.fields)) {
+    if (!present(input[field])) continue;
+    const candValue = spec.get(record);
+    const s = present(candValue) ? COMPARATORS[spec.compare](input[field], candValue) : 0;
+    field_scores[field] = Number(s.toFixed(4));
+    if (spec.weight > 0) {
+      weighted += s * spec.weight;
+      weightSum += spec.weight;
+    }
+  }
+  return { score: weightSum ? weighted / weightSum : 0, field_scores };
+}
+
+// a key shared by more records than this ("kumar", "singh", "road") is a stop-key: it still
+// counts towards the ranking but does not select candidates on its own
+const STOP_KEY_LIMIT = parseInt(process.env.MATCH_STOP_KEY_LIMIT || '1000', 10);
+// upper bound on candidates ranked when every input key is a stop-key
+const BLOCK_SCAN_CAP = parseInt(process.env.MATCH_BLOCK_SCAN_CAP || '5000', 10);
+
+function inputBlockKeys(profile, input) {
+  const keys = new Set();
+  for (const [field, spec] of Object.entries(profile.fields)) {
+    if (spec.block && spec.weight > 0 && present(input[field])) spec.block(input[field]).forEach(k => keys.add(k));
+  }
+  return [...keys];
+}
+
+/**
+ * Candidates sharing the most blocking keys with the input, via the { doc_type, block_keys } index.
+ * Selective keys pick the candidates, so the set is bounded (keys x STOP_KEY_LIMIT) and ranked
+ * in full; only when every key is a stop-key must candidates share all of them, and that set
+ * (equal overlap throughout) is what gets capped.
+ */
+async function fetchBlockedCandidates(profile, scope, keys) {
+  const counts = await Promise.all(keys.map(key =>
+    AuthoritativeRecord.countDocuments({ ...scope, block_keys: key }).limit(STOP_KEY_LIMIT + 1)));
+  const selective = keys.filter((key, i) => counts[i] <= STOP_KEY_LIMIT);
+  const match = selective.length
+    ? { ...scope, block_keys: { $in: selective } }
+    : { ...scope, block_keys: { $all: keys } };
+
+  return await AuthoritativeRecord.aggregate([
+    { $match: match },
+    ...(selective.length ? [] : [{ $limit: BLOCK_SCAN_CAP }]),
+    { $addFields: { _block_overlap: { $size: { $setIntersection: ['$block_keys', keys] } } } },
+    { $sort: { _block_overlap: -1, _id: 1 } },
+    { $limit: profile.limit },
+    { $project: { _block_overlap: 0 } }
+  ]);
+}
+
+async function fetchCandidates(profile, input, docTypes) {
+  const base = { doc_type: { $in: docTypes } };
+  for (const [field, spec] of Object.entries(profile.fields)) {
+    if (spec.filter && present(input[field])) Object.assign(base, spec.filter(input[field]));
+  }
+  const keys = inputBlockKeys(profile, input);
+  // e.g. AADHAAR: records ending in the given last 4 digits come before any name-only match
+  const narrows = profile.stages.map(stage => stage(input)).filter(Boolean);
+  if (keys.length && narrows.length) {
+    const blocked = await fetchBlockedCandidates(profile, { ...base, ...narrows[0] }, keys);
+    if (blocked.length) return blocked;
+  }
+  for (const narrow of narrows) {
+    const candidates = await AuthoritativeRecord.find({ ...base, ...narrow }).limit(profile.limit).lean();
+    if (candidates.length) return candidates;
+  }
+  if (narrows.length && !profile.broaden) return [];
+  if (keys.length) {
+    const blocked = await fetchBlockedCandidates(profile, base, keys);
+    if (blocked.length) return blocked;
+  }
+  return await AuthoritativeRecord.find(base).limit(profile.limit).lean();
+}
+
+/**
+ * Fuzzy multi-attribute match using a profile from MATCH_PROFILES.
+ * input: { name, dob, address, authority, distributor, bank, council, scheme, owner, nationality, ... }
+ * opts:  { doc_types, threshold } to override the profile for a single call
+ * Returns { record, score, match_type, field_scores } or null.
+ */
+export async function findBestMatch(profileKey, input, opts = {}) {
+  const profile = resolveProfile(profileKey);
+  const scoredFields = Object.entries(profile.fields).filter(([f, spec]) => spec.weight > 0 && present(input[f]));
+  if (scoredFields.length === 0) return null;
+
+  const candidates = await fetchCandidates(profile, input, opts.doc_types || profile.doc_types);
+  if (!candidates.length) return null;
+
+  let best = null;
+  for (const c of candidates) {
+    const { score, field_scores } = scoreRecord(profile, input, c);
+    if (!best || score > best.score) best = { record: c, score, match_type: profile.match_type, field_scores };
+  }
+  const threshold = opts.threshold ?? profile.threshold;
+  return best && best.score >= threshold ? best : null;
+}
+
+/**
+ * Fuzzy lookup by name + dob (dob optional, applied as a hard filter).
+ * Kept for callers that only have a person/entity name; delegates to findBestMatch.
  */
 export async function fuzzyLookupByNameDob(docType, name, dob) {
   if (!name) return null;
-  const canonical = normalizeName(name);
-
-  const query = { doc_type: docType };
-  if (dob) query.dob = new Date(dob);
-
-  // Light filter: if dob present, this reduces candidates drastically
-  const candidates = await AuthoritativeRecord.find(query).limit(200).lean();
-  if (!candidates || candidates.length === 0) return null;
-
-  const scored = candidates.map(c => {
-    const candName = c.canonical_name || '';
-    const dist = levenshtein.get(canonical, candName);
-    const maxLen = Math.max(canonical.length, candName.length, 1);
-    const similarity = 1 - (dist / maxLen); // 0..1
-    return { record: c, similarity };
-  });
-
-  scored.sort((a, b) => b.similarity - a.similarity);
-  const best = scored[0];
-  // threshold: require >= 0.65 similarity to consider a candidate
-  if (best && best.similarity >= 0.65) {
-    return { record: best.record, score: best.similarity };
-  }
-  return null;
+  const profileKey = ['PAN', 'AADHAAR', 'INCORP', 'GST'].includes(docType) ? docType : 'PERSON';
+  return await findBestMatch(profileKey, { name, dob }, { doc_types: [docType] });
 }
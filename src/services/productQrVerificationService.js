@@ -0,0 +1,67 @@
+// src/services/productQrVerificationService.js
+import crypto from 'crypto';
+import { resolveProduct, signingSecretOf } from './productRegistryService.js';
+import { findActiveRevocation } from './revocationService.js';
+import { getVerificationKey } from './signingKeyService.js';
+import { canonicalString, computeHmacBase64, keyedCanonicalString, verifyBytes } from '../utils/productQr.js';
+
+const REGISTRY_ERRORS = ['unknown_product', 'product_inactive', 'unknown_batch', 'batch_inactive'];
+
+// shared-secret codes stay valid while printed stock migrates to keyed codes;
+// set PRODUCT_QR_ACCEPT_HMAC=false once it has (read per call, see src/index.js)
+const legacyHmacAccepted = () => (process.env.PRODUCT_QR_ACCEPT_HMAC || 'true').toLowerCase() !== 'false';
+
+function hmacMatches(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verify a decoded product QR payload.
+ * Returns { verified, reason, scheme, kid, product, batch, recall } where scheme is KEYED | HMAC and
+ * reason (when not verified) is one of invalid_payload, unknown_product, product_inactive,
+ * unknown_batch, batch_inactive, unknown_key, key_not_for_product, key_revoked, key_expired,
+ * legacy_signature_rejected, signature_mismatch, expired, revoked.
+ * recall is the revocation in force for a genuine code (see revocationService), else null;
+ * a RECALL leaves the code verified, a REVOCATION fails it with reason revoked.
+ */
+export async function verifyProductPayload(obj, { now = Date.now() } = {}) {
+  const { productId, batch, issuedAt, exp, nonce, kid, sig } = obj || {};
+  const result = {
+    verified: false, reason: null, scheme: kid ? 'KEYED' : 'HMAC', kid: kid || null, product: null, batch: null, recall: null
+  };
+  const fail = reason => ({ ...result, reason });
+  if (!productId || !sig) return fail('invalid_payload');
+
+  try {
+    Object.assign(result, await resolveProduct(productId, batch));
+  } catch (e) {
+    if (REGISTRY_ERRORS.includes(e.code)) return fail(e.code);
+    throw e;
+  }
+
+  const fields = { productId, batch, issuedAt, exp, nonce, kid };
+  if (kid) {
+    const key = await getVerificationKey(kid);
+    if (!key) return fail('unknown_key');
+    // a manufacturer's key must not vouch for someone else's product
+    if (key.manufacturer !== result.product.manufacturer) return fail('key_not_for_product');
+    if (key.revoked_at) return fail('key_revoked');
+    if (key.verify_until && now > new Date(key.verify_until).getTime()) return fail('key_expired');
+    if (!verifyBytes(key.alg, key.publicKey, keyedCanonicalString(fields), Buffer.from(String(sig), 'base64'))) {
+      return fail('signature_mismatch');
+    }
+  } else {
+    if (!legacyHmacAccepted()) return fail('legacy_signature_rejected');
+    const expectedSig = computeHmacBase64(signingSecretOf(result), canonicalString(fields));
+    if (!hmacMatches(expectedSig, sig)) return fail('signature_mismatch');
+  }
+
+  if (exp && Number(exp) > 0 && now > Number(exp)) return fail('expired');
+  // a recalled code is still genuine and callers report it with its own status;
+  // a revoked one (stolen or misprinted stock) must not pass as genuine at all
+  const recall = await findActiveRevocation({ productId, batch, nonce }, new Date(now));
+  if (recall?.kind === 'REVOCATION') return { ...fail('revoked'), recall };
+  return { ...result, verified: true, recall };
+}
@@ -0,0 +1,141 @@
+// src/services/productRegistryService.js
+import crypto from 'crypto';
+import Product from '../models/Product.js';
+import { decryptSecret, encryptSecret } from '../utils/secretBox.js';
+
+function registryError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// secrets never leave the service except at creation time
+function toBatchInfo(b) {
+  return {
+    batch_id: b.batch_id,
+    manufactured_at: b.manufactured_at || null,
+    expires_at: b.expires_at || null,
+    own_secret: Boolean(b.secret_enc),
+    active: b.active !== false,
+    created_at: b.created_at
+  };
+}
+
+export function toProductInfo(doc) {
+  return {
+    product_id: doc.product_id,
+    name: doc.name,
+    manufacturer: doc.manufacturer || null,
+    active: doc.active !== false,
+    batches: (doc.batches || []).map(toBatchInfo),
+    scan_policy: doc.scan_policy || null,
+    created_by: doc.created_by || null,
+    created_at: doc.created_at,
+    updated_at: doc.updated_at
+  };
+}
+
+/**
+ * Register a product. A signing secret is generated unless one is supplied (e.g. when
+ * migrating already printed codes). Returns { product, secret }; `secret` is only returned here.
+ */
+export async function registerProduct({ product_id, name, manufacturer, secret, batches = [], scan_policy, created_by }) {
+  if (await Product.exists({ product_id })) throw registryError('product_exists', `product ${product_id} already registered`);
+  const plain = secret || generateSecret();
+  const doc = await Product.create({
+    product_id,
+    name,
+    manufacturer,
+    secret_enc: encryptSecret(plain),
+    batches: batches.map(b => ({ ...b, secret_enc: b.secret ? encryptSecret(b.secret) : undefined })),
+    scan_policy,
+    created_by
+  });
+  return { product: toProductInfo(doc), secret: plain };
+}
+
+export async function listProducts({ active } = {}) {
+  const query = active === undefined ? {} : { active };
+  const docs = await Product.find(query).sort({ product_id: 1 }).lean();
+  return docs.map(toProductInfo);
+}
+
+export async function getProduct(productId) {
+  const doc = await Product.findOne({ product_id: productId }).lean();
+  if (!doc) throw registryError('product_not_found');
+  return toProductInfo(doc);
+}
+
+/**
+ * Update name / manufacturer / active. Passing rotate_secret issues a new signing secret,
+ * which invalidates every code signed with the previous one.
+ */
+export async function updateProduct(productId, { rotate_secret, ...fields }) {
+  const $set = { ...fields, updated_at: new Date() };
+  const secret = rotate_secret ? generateSecret() : null;
+  if (secret) $set.secret_enc = encryptSecret(secret);
+  const doc = await Product.findOneAndUpdate({ product_id: productId }, { $set }, { new: true }).lean();
+  if (!doc) throw registryError('product_not_found');
+  return { product: toProductInfo(doc), secret };
+}
+
+/**
+ * Register a batch under a product. A batch may carry its own secret; otherwise codes
+ * for it are signed with the product secret.
+ */
+export async function addBatch(productId, { batch_id, manufactured_at, expires_at, secret }) {
+  const doc = await Product.findOneAndUpdate(
+    { product_id: productId, 'batches.batch_id': { $ne: batch_id } },
+    {
+      $push: { batches: { batch_id, manufactured_at, expires_at, secret_enc: secret ? encryptSecret(secret) : undefined } },
+      $set: { updated_at: new Date() }
+    },
+    { new: true }
+  ).lean();
+  if (!doc) {
+    if (!(await Product.exists({ product_id: productId }))) throw registryError('product_not_found');
+    throw registryError('batch_exists', `batch ${batch_id} already registered`);
+  }
+  return toProductInfo(doc);
+}
+
+export async function setBatchActive(productId, batchId, active) {
+  const doc = await Product.findOneAndUpdate(
+    { product_id: productId, 'batches.batch_id': batchId },
+    { $set: { 'batches.$.active': active, updated_at: new Date() } },
+    { new: true }
+  ).lean();
+  if (!doc) {
+    if (!(await Product.exists({ product_id: productId }))) throw registryError('product_not_found');
+    throw registryError('batch_not_found');
+  }
+  return toProductInfo(doc);
+}
+
+/**
+ * Registered product (and batch) a QR payload refers to. Returns { product, batch } or throws
+ * with err.code = unknown_product | product_inactive | unknown_batch | batch_inactive.
+ */
+export async function resolveProduct(productId, batchId) {
+  const doc = await Product.findOne({ product_id: productId }).lean();
+  if (!doc) throw registryError('unknown_product');
+  if (doc.active === false) throw registryError('product_inactive');
+  if (!batchId) return { product: doc, batch: null };
+
+  const batch = (doc.batches || []).find(b => b.batch_id === batchId);
+  if (!batch) throw registryError('unknown_batch');
+  if (batch.active === false) throw registryError('batch_inactive');
+  return { product: doc, batch };
+}
+
+/**
+ * Legacy HMAC secret for a resolved { product, batch }. A batch without its own secret
+ * (or an empty batch) is signed with the product secret.
+ */
+export function signingSecretOf({ product, batch }) {
+  return decryptSecret(batch?.secret_enc || product.secret_enc);
+}
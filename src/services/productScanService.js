@@ -0,0 +1,104 @@
+// src/services/productScanService.js
+import ProductScan from '../models/ProductScan.js';
+
+// how many earlier scans of one code are considered
+const HISTORY_LIMIT = 200;
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Clone policy: env defaults (read per call, see src/index.js), overridable per product
+ * through product.scan_policy.
+ *   QR_MAX_TOTAL_SCANS_PER_CODE  genuine scans one printed code may have, any device (default 100)
+ *   QR_MAX_SCANS_PER_CODE        distinct devices one printed code may be scanned by (default 20)
+ *   QR_MAX_TRAVEL_KMH            fastest plausible movement between two scans (default 900)
+ */
+export function scanPolicyFor(product) {
+  const defaults = {
+    max_total_scans: parseInt(process.env.QR_MAX_TOTAL_SCANS_PER_CODE || '100', 10),
+    max_scans: parseInt(process.env.QR_MAX_SCANS_PER_CODE || '20', 10),
+    max_travel_kmh: parseFloat(process.env.QR_MAX_TRAVEL_KMH || '900')
+  };
+  const own = product?.scan_policy || {};
+  return {
+    max_total_scans: own.max_total_scans ?? defaults.max_total_scans,
+    max_scans: own.max_scans ?? defaults.max_scans,
+    max_travel_kmh: own.max_travel_kmh ?? defaults.max_travel_kmh
+  };
+}
+
+export function distanceKm(a, b) {
+  const rad = d => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+const hasCoords = l => Number.isFinite(l?.lat) && Number.isFinite(l?.lng);
+
+/**
+ * Compare a genuine scan against the earlier genuine scans of the same code.
+ * total_scans (this one included; history.length + 1 unless given) is capped by
+ * max_total_scans whatever the device hints say, so a code copied onto many packs is caught
+ * even when clients send none. scan_count, the number of distinct devices, is an extra and
+ * earlier signal where hints exist; scans without one count together as a single device.
+ * Returns { suspected_clone, clone_reasons, scan_count, total_scans }.
+ */
+export function assessClone(history, { location, device, now, totalScans = history.length + 1 }, policy) {
+  const scanners = new Set(history.map(s => s.device || null));
+  scanners.add(device || null);
+  const clone_reasons = [];
+  if (totalScans > policy.max_total_scans) clone_reasons.push('total_scan_limit_exceeded');
+  if (scanners.size > policy.max_scans) clone_reasons.push('device_limit_exceeded');
+
+  if (hasCoords(location)) {
+    const last = history.find(s => hasCoords(s.location));
+    if (last) {
+      const km = distanceKm(last.location, location);
+      // a minute of slack so GPS jitter on quick rescans never reads as supersonic travel
+      const hours = Math.max(now - new Date(last.scanned_at).getTime(), 60 * 1000) / 3600000;
+      if (km / hours > policy.max_travel_kmh) clone_reasons.push('impossible_travel');
+    }
+  }
+  return { suspected_clone: clone_reasons.length > 0, clone_reasons, scan_count: scanners.size, total_scans: totalScans };
+}
+
+/**
+ * Log a scan and, for verified codes, run the clone policy.
+ * `result` is the output of verifyProductPayload; `obj` the decoded payload.
+ * Returns { suspected_clone, clone_reasons, scan_count, total_scans }. Codes printed without a nonce
+ * share it with every other code of their product, so they are not assessed:
+ * suspected_clone is null (unknown) with clone_reasons ['no_nonce'].
+ */
+export async function recordScan(result, obj, { location, device, client_id, now = Date.now() } = {}) {
+  let assessment = { suspected_clone: false, clone_reasons: [], scan_count: null, total_scans: null };
+  if (result.verified && !obj.nonce) {
+    assessment = { suspected_clone: null, clone_reasons: ['no_nonce'], scan_count: null, total_scans: null };
+  } else if (result.verified) {
+    const query = { product_id: obj.productId, nonce: obj.nonce, verified: true };
+    // the history is capped, the total is not
+    const [history, earlier] = await Promise.all([
+      ProductScan.find(query).sort({ scanned_at: -1 }).limit(HISTORY_LIMIT).lean(),
+      ProductScan.countDocuments(query)
+    ]);
+    assessment = assessClone(history, { location, device, now, totalScans: earlier + 1 }, scanPolicyFor(result.product));
+  }
+
+  await ProductScan.create({
+    product_id: obj?.productId,
+    batch: obj?.batch,
+    nonce: obj?.nonce,
+    kid: result.kid,
+    scheme: result.scheme,
+    verified: result.verified,
+    reason: result.reason,
+    revocation_id: result.recall?.revocation_id,
+    suspected_clone: assessment.suspected_clone,
+    clone_reasons: assessment.clone_reasons,
+    location,
+    device,
+    client_id,
+    scanned_at: new Date(now)
+  });
+  return assessment;
+}
@@ -0,0 +1,53 @@
+// src/services/qrIssuanceService.js
+import QRCode from 'qrcode';
+import { resolveProduct, signingSecretOf } from './productRegistryService.js';
+import { currentSigningKey } from './signingKeyService.js';
+import { signPayload, signPayloadWithKey } from '../utils/productQr.js';
+
+export const QR_CONTENT_TYPES = { png: 'image/png', svg: 'image/svg+xml' };
+
+/**
+ * Render a payload as a QR image. PNG -> Buffer, SVG -> string.
+ */
+export async function renderQr(payload, format = 'png', { size = 300 } = {}) {
+  const opts = { errorCorrectionLevel: 'M', margin: 2, width: size };
+  if (format === 'svg') return QRCode.toString(payload, { ...opts, type: 'svg' });
+  return QRCode.toBuffer(payload, { ...opts, type: 'png' });
+}
+
+function issuanceError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+// explicit exp wins, else the batch expiry, else the code never expires ('')
+function expiryMs(exp, batch) {
+  if (exp) return new Date(exp).getTime();
+  return batch?.expires_at ? new Date(batch.expires_at).getTime() : '';
+}
+
+/**
+ * Sign `count` payloads for a product (and batch). Codes are signed with the manufacturer's
+ * current asymmetric key; products whose manufacturer has no key yet fall back to the
+ * legacy HMAC secret. `manufacturer` is the one the calling key is bound to; products of
+ * any other manufacturer (or none) are refused with manufacturer_mismatch. Also throws the
+ * registry errors of resolveProduct (unknown_product, product_inactive, unknown_batch,
+ * batch_inactive).
+ * Returns { product, batch, kid, codes: [{ payload, fields }] } (kid is null for HMAC codes).
+ */
+export async function issueProductQrs(productId, { manufacturer, batch = '', exp, count = 1 } = {}) {
+  const registered = await resolveProduct(productId, batch);
+  if (!manufacturer || registered.product.manufacturer !== manufacturer) {
+    throw issuanceError('manufacturer_mismatch', `this key cannot issue codes for ${productId}`);
+  }
+  const key = await currentSigningKey(registered.product.manufacturer);
+  const secret = key ? null : signingSecretOf(registered);
+  const sign = fields => (key ? signPayloadWithKey(key, fields) : signPayload(secret, fields));
+
+  const expMs = expiryMs(exp, registered.batch);
+  const issuedAt = Date.now();
+  const codes = [];
+  for (let i = 0; i < count; i++) codes.push(sign({ productId, batch, issuedAt, exp: expMs }));
+  return { product: registered.product, batch: registered.batch, kid: key?.kid ?? null, codes };
+}
@@ -0,0 +1,134 @@
+// src/services/reviewService.js
+import Verification from '../models/Verification.js';
+import { decodeCursor, encodeCursor, toVerificationResponse } from './verificationService.js';
+
+const LOCK_TTL_MS = parseInt(process.env.REVIEW_LOCK_TTL_MIN || '30', 10) * 60 * 1000;
+
+const DECISION_STATUS = { APPROVE: 'VERIFIED', REJECT: 'REJECTED' };
+
+function reviewError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+// a claim is free when nobody holds it or the holder's lock has lapsed
+function claimFreeFor(reviewer, now) {
+  return {
+    $or: [
+      { claimed_by: { $in: [null, reviewer] } },
+      { claim_expires_at: { $lte: now } }
+    ]
+  };
+}
+
+export function toReviewItem(doc) {
+  return {
+    ...toVerificationResponse(doc),
+    claim: doc.claimed_by ? {
+      claimed_by: doc.claimed_by,
+      claimed_at: doc.claimed_at,
+      expires_at: doc.claim_expires_at
+    } : null
+  };
+}
+
+/**
+ * When an atomic update matched nothing, work out why so the caller can
+ * distinguish 404 / already-decided / locked-by-someone-else.
+ */
+async function explainMiss(verificationId, reviewer, now) {
+  const doc = await Verification.findOne({ verification_id: verificationId })
+    .select('status claimed_by claim_expires_at').lean();
+  if (!doc) return reviewError('not_found');
+  if (doc.status !== 'MANUAL_REVIEW') return reviewError('not_pending', `verification is ${doc.status}`);
+  if (doc.claimed_by && doc.claimed_by !== reviewer && doc.claim_expires_at > now) {
+    return reviewError('claimed_by_other', `claimed by ${doc.claimed_by} until ${doc.claim_expires_at.toISOString()}`);
+  }
+  return reviewError('not_claimed', 'claim the item before deciding');
+}
+
+/**
+ * Pending MANUAL_REVIEW items, oldest first (queue order).
+ */
+export async function listPendingReviews({ doc_type, unclaimed_only, cursor, limit = 20 }) {
+  const now = new Date();
+  const query = { status: 'MANUAL_REVIEW' };
+  if (doc_type) query.doc_type = doc_type;
+  if (unclaimed_only) Object.assign(query, claimFreeFor(null, now));
+  if (cursor) {
+    const lastId = decodeCursor(cursor);
+    if (!lastId) throw reviewError('invalid_cursor', 'invalid cursor');
+    query._id = { $gt: lastId };
+  }
+
+  const rows = await Verification.find(query)
+    .sort({ _id: 1 })
+    .limit(limit + 1)
+    .populate('matched_record_id', 'id_masked')
+    .lean();
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    items: page.map(toReviewItem),
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]._id) : null
+  };
+}
+
+/**
+ * Lock an item for `reviewer`. Re-claiming your own lock extends it.
+ */
+export async function claimReview(verificationId, reviewer) {
+  const now = new Date();
+  const doc = await Verification.findOneAndUpdate(
+    { verification_id: verificationId, status: 'MANUAL_REVIEW', ...claimFreeFor(reviewer, now) },
+    {
+      $set: { claimed_by: reviewer, claimed_at: now, claim_expires_at: new Date(now.getTime() + LOCK_TTL_MS) },
+      $push: { review_history: { action: 'CLAIM', reviewer, at: now } }
+    },
+    { new: true }
+  ).populate('matched_record_id', 'id_masked').lean();
+  if (!doc) throw await explainMiss(verificationId, reviewer, now);
+  return toReviewItem(doc);
+}
+
+/**
+ * Give up a claim held by `reviewer` without deciding.
+ */
+export async function releaseReview(verificationId, reviewer) {
+  const now = new Date();
+  const doc = await Verification.findOneAndUpdate(
+    { verification_id: verificationId, status: 'MANUAL_REVIEW', claimed_by: reviewer, claim_expires_at: { $gt: now } },
+    {
+      $unset: { claimed_by: 1, claimed_at: 1, claim_expires_at: 1 },
+      $push: { review_history: { action: 'RELEASE', reviewer, at: now } }
+    },
+    { new: true }
+  ).populate('matched_record_id', 'id_masked').lean();
+  if (!doc) throw await explainMiss(verificationId, reviewer, now);
+  return toReviewItem(doc);
+}
+
+/**
+ * Approve/reject an item. Only the reviewer holding a live claim can decide,
+ * and the status guard makes the decision one-shot even under concurrent calls.
+ */
+export async function decideReview(verificationId, reviewer, decision, reason) {
+  const now = new Date();
+  const to_status = DECISION_STATUS[decision];
+  const doc = await Verification.findOneAndUpdate(
+    { verification_id: verificationId, status: 'MANUAL_REVIEW', claimed_by: reviewer, claim_expires_at: { $gt: now } },
+    {
+      $set: { status: to_status, reviewed_by: reviewer, reviewed_at: now },
+      $unset: { claimed_by: 1, claimed_at: 1, claim_expires_at: 1 },
+      $push: {
+        reasons: `manual_review_${decision.toLowerCase()}`,
+        review_history: { action: decision, reviewer, reason, from_status: 'MANUAL_REVIEW', to_status, at: now }
+      }
+    },
+    { new: true }
+  ).populate('matched_record_id', 'id_masked').lean();
+  if (!doc) throw await explainMiss(verificationId, reviewer, now);
+  return toReviewItem(doc);
+}
@@ -0,0 +1,85 @@
+// src/services/revocationService.js
+import ProductRevocation from '../models/ProductRevocation.js';
+import Product from '../models/Product.js';
+import { v4 as uuidv4 } from 'uuid';
+
+function revocationError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+export function toRevocationInfo(doc) {
+  return {
+    revocation_id: doc.revocation_id,
+    product_id: doc.product_id,
+    batch: doc.batch || null,
+    nonce: doc.nonce || null,
+    scope: doc.nonce ? 'CODE' : (doc.batch ? 'BATCH' : 'PRODUCT'),
+    kind: doc.kind,
+    reason: doc.reason,
+    notice: doc.notice || null,
+    effective_at: doc.effective_at,
+    lifted_at: doc.lifted_at || null,
+    lifted_by: doc.lifted_by || null,
+    created_by: doc.created_by || null,
+    created_at: doc.created_at
+  };
+}
+
+/**
+ * Recall or revoke a product, one of its batches or a single code (nonce).
+ * effective_at may be in the future to schedule a recall.
+ */
+export async function createRevocation(productId, { batch = null, nonce = null, kind, reason, notice, effective_at = new Date(), created_by }) {
+  if (!(await Product.exists({ product_id: productId }))) throw revocationError('product_not_found');
+  const doc = await ProductRevocation.create({
+    revocation_id: `rev-${uuidv4()}`,
+    product_id: productId,
+    batch,
+    nonce,
+    kind,
+    reason,
+    notice,
+    effective_at,
+    created_by
+  });
+  return toRevocationInfo(doc);
+}
+
+export async function listRevocations(productId, { include_lifted = false } = {}) {
+  const query = { product_id: productId };
+  if (!include_lifted) query.lifted_at = null;
+  const docs = await ProductRevocation.find(query).sort({ effective_at: -1 }).lean();
+  return docs.map(toRevocationInfo);
+}
+
+export async function liftRevocation(productId, revocationId, liftedBy) {
+  const doc = await ProductRevocation.findOneAndUpdate(
+    { product_id: productId, revocation_id: revocationId, lifted_at: null },
+    { $set: { lifted_at: new Date(), lifted_by: liftedBy } },
+    { new: true }
+  ).lean();
+  if (!doc) throw revocationError('revocation_not_found');
+  return toRevocationInfo(doc);
+}
+
+/**
+ * The revocation in force for a scanned code, or null. A REVOCATION wins over any RECALL,
+ * since it fails the code outright; otherwise the most specific one (code, batch, product).
+ */
+export async function findActiveRevocation({ productId, batch, nonce }, now = new Date()) {
+  const scopes = [{ batch: null, nonce: null }];
+  if (batch) scopes.push({ batch, nonce: null });
+  if (nonce) scopes.push({ nonce });
+  const docs = await ProductRevocation.find({
+    product_id: productId,
+    lifted_at: null,
+    effective_at: { $lte: now },
+    $or: scopes
+  }).lean();
+  if (!docs.length) return null;
+  const rank = d => (d.kind === 'REVOCATION' ? 3 : 0) + (d.nonce ? 2 : (d.batch ? 1 : 0));
+  docs.sort((a, b) => rank(b) - rank(a) || b.effective_at - a.effective_at);
+  return toRevocationInfo(docs[0]);
+}
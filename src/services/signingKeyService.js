@@ -0,0 +1,174 @@
+// src/services/signingKeyService.js
+import crypto from 'crypto';
+import SigningKey from '../models/SigningKey.js';
+import { decryptSecret, encryptSecret } from '../utils/secretBox.js';
+
+export const SIGNING_ALGS = ['Ed25519', 'ES256'];
+
+// verification reads keys on every scan; a short TTL keeps revocations prompt
+const CACHE_TTL_MS = 60 * 1000;
+const keyCache = new Map();
+
+function keyError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+function toKeyInfo(doc) {
+  return {
+    kid: doc.kid,
+    manufacturer: doc.manufacturer,
+    alg: doc.alg,
+    public_key: doc.public_key,
+    activates_at: doc.activates_at || null,
+    retires_at: doc.retires_at || null,
+    verify_until: doc.verify_until || null,
+    revoked_at: doc.revoked_at || null,
+    rotated_from: doc.rotated_from || null,
+    created_at: doc.created_at
+  };
+}
+
+function generateKeyPair(alg) {
+  const { publicKey, privateKey } = alg === 'Ed25519'
+    ? crypto.generateKeyPairSync('ed25519')
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return {
+    public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+/**
+ * Create a key for a manufacturer. The private key is encrypted at rest and never returned.
+ */
+export async function createSigningKey({ manufacturer, alg = 'Ed25519', activates_at = new Date(), verify_until = null, rotated_from = null }) {
+  if (!manufacturer) throw keyError('manufacturer_required');
+  if (!SIGNING_ALGS.includes(alg)) throw keyError('unsupported_alg', `alg must be one of ${SIGNING_ALGS.join(', ')}`);
+  const { public_key, private_key } = generateKeyPair(alg);
+  const doc = await SigningKey.create({
+    kid: `qk_${crypto.randomBytes(8).toString('hex')}`,
+    manufacturer,
+    alg,
+    public_key,
+    private_key_enc: encryptSecret(private_key),
+    activates_at,
+    verify_until,
+    rotated_from
+  });
+  return toKeyInfo(doc);
+}
+
+export async function listSigningKeys({ manufacturer } = {}) {
+  const docs = await SigningKey.find(manufacturer ? { manufacturer } : {}).sort({ manufacturer: 1, activates_at: -1 }).lean();
+  return docs.map(toKeyInfo);
+}
+
+/**
+ * Keys a third party needs to verify codes offline: every key that is not revoked
+ * and still within its verification window.
+ */
+export async function listVerificationKeys(now = new Date()) {
+  const docs = await SigningKey.find({
+    revoked_at: null,
+    $or: [{ verify_until: null }, { verify_until: { $gt: now } }]
+  }).sort({ activates_at: -1 }).lean();
+  return docs.map(d => ({ kid: d.kid, manufacturer: d.manufacturer, alg: d.alg, public_key: d.public_key }));
+}
+
+/**
+ * Key used to sign new codes for a manufacturer: the most recently activated key that is
+ * active now and not retired/revoked. Null when the manufacturer has none (legacy HMAC).
+ * Returns { kid, alg, manufacturer, privateKey }.
+ */
+export async function currentSigningKey(manufacturer, now = new Date()) {
+  if (!manufacturer) return null;
+  const doc = await SigningKey.findOne({
+    manufacturer,
+    revoked_at: null,
+    activates_at: { $lte: now },
+    $or: [{ retires_at: null }, { retires_at: { $gt: now } }]
+  }).sort({ activates_at: -1 }).lean();
+  if (!doc) return null;
+  return { kid: doc.kid, alg: doc.alg, manufacturer: doc.manufacturer, privateKey: crypto.createPrivateKey(decryptSecret(doc.private_key_enc)) };
+}
+
+/**
+ * Public key for a kid, or null. Cached for CACHE_TTL_MS.
+ * Returns { kid, alg, manufacturer, publicKey, revoked_at, verify_until }.
+ */
+export async function getVerificationKey(kid) {
+  const hit = keyCache.get(kid);
+  if (hit && hit.expires > Date.now()) return hit.key;
+  const doc = await SigningKey.findOne({ kid }).lean();
+  const key = doc ? {
+    kid: doc.kid,
+    alg: doc.alg,
+    manufacturer: doc.manufacturer,
+    publicKey: crypto.createPublicKey(doc.public_key),
+    revoked_at: doc.revoked_at || null,
+    verify_until: doc.verify_until || null
+  } : null;
+  keyCache.set(kid, { key, expires: Date.now() + CACHE_TTL_MS });
+  return key;
+}
+
+/**
+ * Replace a key. The new key is published now and takes over signing after announceMs,
+ * which is when the old one retires, so offline verifiers can fetch it before codes appear.
+ * Codes already printed with the old key keep verifying. A key whose rotation is already
+ * pending (retires_at set) is refused with key_rotation_pending, so it never gets two successors.
+ */
+export async function rotateSigningKey(kid, { announceMs = 0, alg } = {}) {
+  const switchAt = new Date(Date.now() + announceMs);
+  // claimed before the successor exists, so concurrent rotations cannot both proceed
+  const old = await SigningKey.findOneAndUpdate(
+    { kid, revoked_at: null, retires_at: null },
+    { $set: { retires_at: switchAt } }
+  ).lean();
+  if (!old) {
+    if (await SigningKey.exists({ kid, revoked_at: null })) {
+      throw keyError('key_rotation_pending', `key ${kid} is already being rotated`);
+    }
+    throw keyError('key_not_found', `no active key with kid ${kid}`);
+  }
+  keyCache.delete(kid);
+  try {
+    return await createSigningKey({
+      manufacturer: old.manufacturer, alg: alg || old.alg, activates_at: switchAt, rotated_from: old.kid
+    });
+  } catch (err) {
+    await SigningKey.updateOne({ kid }, { $set: { retires_at: null } });
+    throw err;
+  }
+}
+
+/**
+ * Scheduled rotation: rotate every signing key that has been signing for longer than maxAgeMs.
+ * Meant to run from cron (see src/scripts/manage-signing-keys.js rotate-due).
+ */
+export async function rotateDueKeys({ maxAgeMs, announceMs = 0, now = new Date() }) {
+  const due = await SigningKey.find({
+    revoked_at: null,
+    retires_at: null,
+    activates_at: { $lte: new Date(now.getTime() - maxAgeMs) }
+  }).lean();
+  const rotated = [];
+  for (const k of due) {
+    const fresh = await rotateSigningKey(k.kid, { announceMs });
+    rotated.push({ from: k.kid, to: fresh.kid, manufacturer: k.manufacturer });
+  }
+  return rotated;
+}
+
+export async function revokeSigningKey(kid, reason = 'revoked') {
+  const doc = await SigningKey.findOneAndUpdate(
+    { kid, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } },
+    { new: true }
+  ).lean();
+  if (!doc) throw keyError('key_not_found', `no active key with kid ${kid}`);
+  keyCache.delete(kid);
+  return toKeyInfo(doc);
+}
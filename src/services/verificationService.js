@@ -0,0 +1,86 @@
+// src/services/verificationService.js
+import mongoose from 'mongoose';
+import Verification from '../models/Verification.js';
+
+/**
+ * Shape a persisted Verification the same way the POST handlers respond:
+ * scores/reasons only, never the extracted payload or the full matched record.
+ * Expects matched_record_id to be populated with id_masked (see findVerificationById).
+ */
+export function toVerificationResponse(doc) {
+  const rec = doc.matched_record_id;
+  return {
+    verification_id: doc.verification_id,
+    request_id: doc.request_id,
+    doc_type: doc.doc_type,
+    status: doc.status,
+    final_confidence: Number((doc.final_confidence || 0).toFixed(4)),
+    scores: doc.checks || {},
+    matched_record: rec ? {
+      record_id: rec._id || rec,
+      id_masked: rec.id_masked || null
+    } : null,
+    reasons: doc.reasons || [],
+    reviewed_by: doc.reviewed_by || null,
+    reviewed_at: doc.reviewed_at || null,
+    review_history: doc.review_history || [],
+    timestamp: doc.created_at
+  };
+}
+
+export async function findVerificationById(verificationId) {
+  return await Verification.findOne({ verification_id: verificationId })
+    .populate('matched_record_id', 'id_masked')
+    .lean();
+}
+
+// cursors are the base64url'd _id of the last item on the previous page
+export function encodeCursor(id) {
+  return Buffer.from(String(id)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  const id = Buffer.from(cursor, 'base64url').toString('utf8');
+  return mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(id) : null;
+}
+
+/**
+ * Search verifications newest-first. Equality filters on request_id or
+ * doc_type+status hit the indexes declared in models/Verification.js;
+ * pagination walks _id downwards so pages stay stable while new rows arrive.
+ * Returns { items, next_cursor } (next_cursor null on the last page).
+ */
+export async function searchVerifications({ request_id, doc_type, status, from, to, cursor, limit = 20 }) {
+  const query = {};
+  if (request_id) query.request_id = request_id;
+  if (doc_type) query.doc_type = doc_type;
+  if (status) query.status = status;
+  if (from || to) {
+    query.created_at = {};
+    if (from) query.created_at.$gte = new Date(from);
+    if (to) query.created_at.$lte = new Date(to);
+  }
+  if (cursor) {
+    const lastId = decodeCursor(cursor);
+    if (!lastId) {
+      const err = new Error('invalid cursor');
+      err.code = 'invalid_cursor';
+      throw err;
+    }
+    query._id = { $lt: lastId };
+  }
+
+  // fetch one extra row to know whether another page exists
+  const rows = await Verification.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate('matched_record_id', 'id_masked')
+    .lean();
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    items: page.map(toVerificationResponse),
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]._id) : null
+  };
+}
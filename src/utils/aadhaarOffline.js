@@ -0,0 +1,209 @@
+// src/utils/aadhaarOffline.js
+// UIDAI Secure QR (v1/v2) and Offline Paperless e-KYC XML: parsing and offline signature checks.
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { DOMParser } from '@xmldom/xmldom';
+import { SignedXml } from 'xml-crypto';
+
+const DELIMITER = 255;
+const SIGNATURE_BYTES = 256;
+const HASH_BYTES = 32;
+const XMLDSIG_NS = 'http://www.w3.org/2000/09/xmldsig#';
+
+// demographic fields in QR order (v2 adds a leading "V2" and a trailing mobile last-4)
+const QR_FIELDS = [
+  'email_mobile_indicator', 'reference_id', 'name', 'dob', 'gender', 'care_of', 'district', 'landmark',
+  'house', 'location', 'pincode', 'post_office', 'state', 'street', 'sub_district', 'vtc'
+];
+
+// "DD-MM-YYYY" / "DD/MM/YYYY" -> "YYYY-MM-DD"
+function isoDob(v) {
+  const m = (v || '').match(/^(\d{2})[-/](\d{2})[-/](\d{4})$/);
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : (v || null);
+}
+
+// reference id = last 4 Aadhaar digits + generation time YYYYMMDDHHMMSSsss
+function decodeReferenceId(referenceId) {
+  const ref = (referenceId || '').toString();
+  const ts = ref.slice(4, 18).match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  return {
+    aadhaar_last4: /^\d{4}/.test(ref) ? ref.slice(0, 4) : null,
+    generated_at: ts ? new Date(`${ts[1]}-${ts[2]}-${ts[3]}T${ts[4]}:${ts[5]}:${ts[6]}+05:30`) : null
+  };
+}
+
+/**
+ * Public key from a UIDAI certificate file's contents (PEM or DER .cer).
+ */
+export function publicKeyFromCertificate(certBytes) {
+  return new crypto.X509Certificate(certBytes).publicKey;
+}
+
+/**
+ * Decode the big-integer string read from a Secure QR code.
+ * Returns { version, fields, photo, email_hash, mobile_hash, signed, signature }
+ * or throws with err.code = 'invalid_secure_qr'.
+ */
+export function parseSecureQr(payload) {
+  const fail = (msg) => Object.assign(new Error(msg), { code: 'invalid_secure_qr' });
+  if (!/^[0-9]+$/.test((payload || '').toString().trim())) throw fail('payload is not a decimal string');
+
+  let hex = BigInt(payload.toString().trim()).toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  let data;
+  try {
+    data = zlib.gunzipSync(Buffer.from(hex, 'hex'));
+  } catch {
+    throw fail('payload does not decompress');
+  }
+  if (data.length <= SIGNATURE_BYTES) throw fail('payload too short');
+
+  const v2 = data.subarray(0, 2).toString('latin1') === 'V2';
+  const fieldCount = QR_FIELDS.length + (v2 ? 2 : 0);
+  const values = [];
+  let start = 0;
+  for (let i = 0; i < fieldCount; i++) {
+    const end = data.indexOf(DELIMITER, start);
+    if (end === -1) throw fail('missing demographic fields');
+    values.push(data.subarray(start, end).toString('latin1'));
+    start = end + 1;
+  }
+  const names = v2 ? ['version', ...QR_FIELDS, 'mobile_last4'] : QR_FIELDS;
+  const fields = Object.fromEntries(names.map((n, i) => [n, values[i]]));
+
+  const indicator = Number(fields.email_mobile_indicator) || 0;
+  const sigStart = data.length - SIGNATURE_BYTES;
+  let cursor = sigStart;
+  let mobile_hash = null;
+  let email_hash = null;
+  if (indicator & 2) { cursor -= HASH_BYTES; mobile_hash = data.subarray(cursor, cursor + HASH_BYTES).toString('hex'); }
+  if (indicator & 1) { cursor -= HASH_BYTES; email_hash = data.subarray(cursor, cursor + HASH_BYTES).toString('hex'); }
+
+  return {
+    version: v2 ? 2 : 1,
+    fields,
+    photo: data.subarray(start, cursor),
+    email_hash,
+    mobile_hash,
+    signed: data.subarray(0, sigStart),
+    signature: data.subarray(sigStart)
+  };
+}
+
+/**
+ * RSA-SHA256 signature over everything before the trailing 256 signature bytes.
+ */
+export function verifySecureQrSignature(parsed, publicKey) {
+  return crypto.verify('sha256', parsed.signed, publicKey, parsed.signature);
+}
+
+/**
+ * Demographics of a parsed Secure QR in the shape shared with the e-KYC XML.
+ */
+export function secureQrDemographics(parsed) {
+  const f = parsed.fields;
+  return {
+    ...decodeReferenceId(f.reference_id),
+    name: f.name || null,
+    dob: isoDob(f.dob),
+    gender: f.gender || null,
+    care_of: f.care_of || null,
+    address: [f.house, f.street, f.landmark, f.location, f.vtc, f.post_office, f.sub_district, f.district, f.state]
+      .filter(Boolean).join(', ') || null,
+    pincode: f.pincode || null,
+    state: f.state || null,
+    email_hash: parsed.email_hash,
+    mobile_hash: parsed.mobile_hash
+  };
+}
+
+const ekycFail = (msg) => Object.assign(new Error(msg), { code: 'invalid_ekyc_xml' });
+
+function parseEkycDocument(xml) {
+  const errors = [];
+  const doc = new DOMParser({ onError: (level, msg) => { if (level !== 'warning') errors.push(msg); } })
+    .parseFromString((xml || '').toString(), 'text/xml');
+  const root = doc?.documentElement;
+  if (errors.length || !root || root.localName !== 'OfflinePaperlessKyc') throw ekycFail('not an OfflinePaperlessKyc document');
+  return { doc, root };
+}
+
+// demographics of an OfflinePaperlessKyc root; Poi/Poa must each appear once and never
+// inside the Signature, where a wrapped copy would escape the enveloped-signature digest
+function ekycDemographics(root) {
+  const el = (name) => {
+    const nodes = Array.from(root.getElementsByTagName(name));
+    if (nodes.length > 1) throw ekycFail(`more than one ${name} element`);
+    for (let n = nodes[0]?.parentNode; n && n !== root; n = n.parentNode) {
+      if (n.localName === 'Signature') throw ekycFail(`${name} element inside Signature`);
+    }
+    return nodes[0] || null;
+  };
+  const poi = el('Poi');
+  const poa = el('Poa');
+  if (!poi) throw ekycFail('missing Poi element');
+  const attr = (node, name) => node?.getAttribute(name) || null;
+
+  return {
+    ...decodeReferenceId(attr(root, 'referenceId')),
+    name: attr(poi, 'name'),
+    dob: isoDob(attr(poi, 'dob')),
+    gender: attr(poi, 'gender'),
+    care_of: attr(poa, 'careof'),
+    address: ['house', 'street', 'landmark', 'loc', 'vtc', 'po', 'subdist', 'dist', 'state']
+      .map(a => attr(poa, a)).filter(Boolean).join(', ') || null,
+    pincode: attr(poa, 'pc'),
+    state: attr(poa, 'state'),
+    email_hash: attr(poi, 'e'),
+    mobile_hash: attr(poi, 'm')
+  };
+}
+
+/**
+ * Parse an Offline Paperless e-KYC XML document. Returns { doc, demographics } or
+ * throws with err.code = 'invalid_ekyc_xml'. The demographics are unverified; once the
+ * signature checks out use the ones signedEkycDemographics returns instead.
+ */
+export function parseOfflineEkycXml(xml) {
+  const { doc, root } = parseEkycDocument(xml);
+  return { doc, demographics: ekycDemographics(root) };
+}
+
+/**
+ * Verify the enveloped XML-DSig signature of a parsed e-KYC document and return the
+ * demographics read back from the signed content, or null when it does not verify.
+ * Only the UIDAI layout is accepted: one Signature, the last child of the root, with a
+ * single Reference to the whole document (URI ""), so nothing outside the digest can be
+ * read as the holder's data.
+ */
+export function signedEkycDemographics(parsed, xml, publicKey) {
+  const root = parsed.doc.documentElement;
+  const sigNodes = Array.from(parsed.doc.getElementsByTagNameNS(XMLDSIG_NS, 'Signature'));
+  const children = Array.from(root.childNodes).filter(n => n.nodeType === 1);
+  const sigNode = children[children.length - 1];
+  if (sigNodes.length !== 1 || sigNodes[0] !== sigNode) return null;
+
+  const sig = new SignedXml({ publicCert: publicKey.export({ type: 'spki', format: 'pem' }), getCertFromKeyInfo: () => null });
+  try {
+    sig.loadSignature(sigNode);
+    if (!sig.checkSignature(xml.toString())) return null;
+    const references = sig.getReferences();
+    const signed = sig.getSignedReferences();
+    if (references.length !== 1 || references[0].uri !== '' || signed.length !== 1) return null;
+    return ekycDemographics(parseEkycDocument(signed[0]).root);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * UIDAI mobile/email hash: sha256 of value (+ share code for e-KYC XML) applied N times,
+ * N = last digit of the Aadhaar number (1 when it is 0). Compares hex digests.
+ */
+export function contactHashMatches(value, expectedHash, { aadhaarLast4, shareCode = '' } = {}) {
+  if (!value || !expectedHash || !aadhaarLast4) return null;
+  const rounds = Number(aadhaarLast4.slice(-1)) || 1;
+  let h = `${value}${shareCode}`;
+  for (let i = 0; i < rounds; i++) h = crypto.createHash('sha256').update(h).digest('hex');
+  return h === expectedHash.toLowerCase();
+}
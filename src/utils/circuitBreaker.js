@@ -0,0 +1,57 @@
+// src/utils/circuitBreaker.js
+
+/**
+ * Minimal circuit breaker for outbound provider calls.
+ * After `failureThreshold` consecutive failures the circuit opens and calls fail fast
+ * (err.code = 'circuit_open') until `cooldownMs` has passed; then one trial call is let
+ * through (half-open) and its outcome closes or re-opens the circuit.
+ */
+export function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  function state() {
+    if (openedAt === null) return 'CLOSED';
+    return Date.now() - openedAt >= cooldownMs ? 'HALF_OPEN' : 'OPEN';
+  }
+
+  async function exec(fn) {
+    const current = state();
+    if (current === 'OPEN' || (current === 'HALF_OPEN' && trialInFlight)) {
+      const err = new Error('circuit open');
+      err.code = 'circuit_open';
+      throw err;
+    }
+    trialInFlight = current === 'HALF_OPEN';
+    try {
+      const result = await fn();
+      failures = 0;
+      openedAt = null;
+      return result;
+    } catch (err) {
+      failures++;
+      if (current === 'HALF_OPEN' || failures >= failureThreshold) openedAt = Date.now();
+      throw err;
+    } finally {
+      trialInFlight = false;
+    }
+  }
+
+  return { exec, state };
+}
+
+/**
+ * Reject with err.code = 'timeout' if `promise` does not settle within `ms`.
+ */
+export function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`timed out after ${ms}ms`);
+      err.code = 'timeout';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -1,5 +1,6 @@
 // src/utils/hash.js
 import crypto from 'crypto';
+import { transliterate } from './transliterate.js';
 
 export function normalizeId(id) {
   if (!id) return '';
@@ -8,10 +9,134 @@ export function normalizeId(id) {
 
 export function normalizeName(name) {
   if (!name) return '';
-  // Unicode normalize, collapse spaces, lowercase
-  return name.toString().normalize('NFKD').replace(/\p{Diacritic}/gu, '').trim().replace(/\s+/g, ' ').toLowerCase();
+  // Indic scripts to Latin first (their vowel signs are diacritics), then Unicode normalize, collapse spaces, lowercase
+  return transliterate(name).normalize('NFKD').replace(/\p{Diacritic}/gu, '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// honorifics / entity prefixes that carry no identity
+const NAME_HONORIFICS = new Set([
+  'shri', 'sri', 'shree', 'smt', 'srimati', 'shrimati', 'kumari', 'km', 'sushri',
+  'dr', 'mr', 'mrs', 'ms', 'miss', 'prof', 'late', 'ms/', 'm/s', 'messrs', 'the'
+]);
+
+// common abbreviations on Indian documents -> canonical token(s)
+const NAME_ABBREVIATIONS = {
+  mohd: 'mohammed', md: 'mohammed', mohamad: 'mohammed', muhammad: 'mohammed', mohammad: 'mohammed', mohamed: 'mohammed',
+  kr: 'kumar', kum: 'kumar',
+  pvt: 'private', ltd: 'limited', llp: 'limited liability partnership',
+  co: 'company', corp: 'corporation', corpn: 'corporation', intl: 'international',
+  inds: 'industries', ind: 'industries', mfg: 'manufacturing', bros: 'brothers', assoc: 'associates',
+  '&': 'and'
+};
+
+/**
+ * Name -> comparable tokens: normalized, honorifics stripped ("Shri", "Smt", "Dr", "M/s"),
+ * abbreviations expanded ("Mohd" -> "mohammed", "Pvt" -> "private"). Dotted initials split ("A.K." -> a, k).
+ */
+export function nameTokens(name) {
+  const tokens = normalizeName(name)
+    .replace(/\bm\/s\b/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const out = [];
+  for (const t of tokens) {
+    if (NAME_HONORIFICS.has(t)) continue;
+    out.push(...(NAME_ABBREVIATIONS[t] || t).split(' '));
+  }
+  return out;
+}
+
+// romanisation variants of the same Indic sound, longest first
+const PHONETIC_RULES = [
+  [/aa/g, 'a'], [/ee|ii/g, 'i'], [/oo|uu/g, 'u'], [/ou|au/g, 'o'], [/ai|ei/g, 'e'],
+  [/ksh|kch|x/g, 'ks'], [/ph|f/g, 'p'], [/bh/g, 'b'], [/dh/g, 'd'], [/th/g, 't'], [/kh|q|ck|c(?!h)/g, 'k'],
+  [/gh/g, 'g'], [/chh|ch/g, 'c'], [/jh|z/g, 'j'], [/sh|s/g, 's'], [/w|v/g, 'v'], [/y/g, 'i']
+];
+
+// vowel classes kept in the key: dropping vowels altogether made "Sunil"/"Sonal" and
+// "Manoj"/"Manju" the same key, while a/e and o/u swap freely in romanised spellings
+const VOWEL_CLASS = { a: 'a', e: 'a', i: 'i', o: 'u', u: 'u' };
+
+/**
+ * Phonetic key tuned for transliterated Indian names: aspirates folded into their plain
+ * consonant ("Saritha"/"Sarita", "Bhaskar"/"Baskar"), v/w, z/j, long vowels merged, each
+ * vowel run reduced to one of three classes (a,e / i / o,u) and repeats collapsed
+ * ("Verma"/"Varma" -> "varma", "Sunil" -> "sunil" but "Sonal" -> "sunal").
+ */
+export function phoneticKey(token) {
+  let s = normalizeName(token).replace(/[^a-z]/g, '');
+  if (!s) return '';
+  for (const [re, rep] of PHONETIC_RULES) s = s.replace(re, rep);
+  s = s[0] + s.slice(1).replace(/h/g, '');
+  return s.replace(/[aeiou]+/g, run => VOWEL_CLASS[run[0]]).replace(/(.)\1+/g, '$1');
 }
 
 export function sha256Hex(input) {
   return crypto.createHash('sha256').update(String(input)).digest('hex');
 }
+
+export const PHONETIC_BLOCK_PREFIX = 's2:';
+
+// tokens too common to narrow a candidate set
+const BLOCK_STOPWORDS = new Set([
+  'dr', 'mr', 'mrs', 'ms', 'shri', 'smt', 'the', 'and', 'of', 'm/s',
+  'pvt', 'private', 'ltd', 'limited', 'liability', 'partnership', 'llp', 'co', 'company',
+  'road', 'rd', 'street', 'st', 'lane', 'no', 'plot', 'block', 'sector', 'near', 'opp', 'floor'
+]);
+
+function blockTokens(value) {
+  return normalizeName(value)
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(t => t.length >= 2 && !BLOCK_STOPWORDS.has(t));
+}
+
+/**
+ * Blocking keys for a name: 4-char token prefixes (n:) and phonetic keys (s2:).
+ * Records sharing at least one key with the input are fuzzy-match candidates.
+ * The phonetic prefix carries the phoneticKey version, so keys stored before a change never
+ * collide with new ones; run `npm run backfill:block-keys -- --stale-only` after bumping it.
+ */
+export function nameBlockKeys(name) {
+  const keys = new Set();
+  for (const t of nameTokens(name)) {
+    if (t.length < 2 || BLOCK_STOPWORDS.has(t)) continue;
+    keys.add(`n:${t.slice(0, 4)}`);
+    const p = phoneticKey(t);
+    if (p) keys.add(`${PHONETIC_BLOCK_PREFIX}${p.slice(0, 4)}`);
+  }
+  return [...keys];
+}
+
+/**
+ * Blocking keys for an address: 5-char prefixes (a:) of its non-numeric words.
+ */
+export function addressBlockKeys(address) {
+  const keys = new Set();
+  for (const t of blockTokens(address)) {
+    if (t.length >= 3 && !/^[0-9]+$/.test(t)) keys.add(`a:${t.slice(0, 5)}`);
+  }
+  return [...keys];
+}
+
+// every name-like / address-like attribute a match profile may compare against
+const RECORD_NAME_FIELDS = [
+  'name', 'lab_name', 'product_name', 'mark_name', 'consumer_name', 'account_name', 'account_holder_name',
+  'lessor_name', 'authority_name', 'practitioner_name', 'council_name', 'owner_name'
+];
+const RECORD_ADDRESS_FIELDS = ['address', 'registered_office_address', 'principal_place_address'];
+
+/**
+ * Blocking keys stored on an AuthoritativeRecord (see AuthoritativeRecord.block_keys).
+ */
+export function recordBlockKeys(record) {
+  const raw = record.raw || {};
+  const names = [record.canonical_name, record.product_name, ...RECORD_NAME_FIELDS.map(f => raw[f])];
+  const addresses = [record.address, ...RECORD_ADDRESS_FIELDS.map(f => raw[f])];
+  const keys = new Set();
+  for (const n of names) if (n) nameBlockKeys(n).forEach(k => keys.add(k));
+  for (const a of addresses) if (a) addressBlockKeys(a).forEach(k => keys.add(k));
+  return [...keys];
+}
@@ -0,0 +1,327 @@
+// src/utils/idValidators.js
+// Offline structural checks for government identifiers (check digits, reserved ranges).
+import { nameTokens } from './hash.js';
+
+// Verhoeff dihedral-group tables
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 7, 6, 8, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * True when a digit string (check digit last) passes the Verhoeff checksum.
+ */
+export function verhoeffValid(digits) {
+  if (!/^[0-9]+$/.test(digits || '')) return false;
+  let c = 0;
+  const rev = digits.split('').reverse();
+  for (let i = 0; i < rev.length; i++) c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(rev[i])]];
+  return c === 0;
+}
+
+/**
+ * Structural check of a full Aadhaar number (spaces allowed, as printed).
+ * Returns { valid, reason } with reason one of
+ * aadhaar_format_invalid | aadhaar_reserved_prefix | aadhaar_checksum_failed.
+ */
+export function checkAadhaarNumber(aadhaar) {
+  const digits = (aadhaar || '').toString().replace(/\s+/g, '');
+  if (!/^[0-9]{12}$/.test(digits)) return { valid: false, reason: 'aadhaar_format_invalid' };
+  // UIDAI never issues numbers starting with 0 or 1
+  if (/^[01]/.test(digits)) return { valid: false, reason: 'aadhaar_reserved_prefix' };
+  if (!verhoeffValid(digits)) return { valid: false, reason: 'aadhaar_checksum_failed' };
+  return { valid: true, reason: null };
+}
+
+// PAN 4th character -> holder category (Income Tax Dept. codes)
+export const PAN_HOLDER_TYPES = {
+  P: 'INDIVIDUAL',
+  C: 'COMPANY',
+  H: 'HUF',
+  F: 'FIRM',
+  E: 'LLP',
+  A: 'AOP',
+  B: 'BOI',
+  T: 'TRUST',
+  L: 'LOCAL_AUTHORITY',
+  J: 'ARTIFICIAL_JURIDICAL_PERSON',
+  G: 'GOVERNMENT'
+};
+
+/**
+ * Decode the structured parts of a PAN. Works on masked PANs as long as
+ * the 4th/5th characters are visible (e.g. "ABCPK****F").
+ * Returns { holder_type_code, holder_type, individual, name_initial } (null parts when masked;
+ * holder_type also null for an unassigned 4th character),
+ * or null if the value is not PAN-shaped.
+ */
+export function decodePan(pan) {
+  const p = (pan || '').toString().replace(/\s+/g, '').toUpperCase();
+  if (p.length !== 10) return null;
+  if (!/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(p) && !/^[A-Z*]{5}[0-9*X]{4}[A-Z*]$/.test(p)) return null;
+  // "XXXXX1234X" style masking hides the whole alpha prefix
+  const hidden = c => c === '*' || /^X{5}/.test(p);
+  const code = hidden(p[3]) ? null : p[3];
+  const holder_type = PAN_HOLDER_TYPES[code] || null;
+  return {
+    holder_type_code: code,
+    holder_type,
+    individual: holder_type ? code === 'P' : null,
+    name_initial: hidden(p[4]) ? null : p[4]
+  };
+}
+
+/**
+ * Cross-check the PAN's 5th character against the holder name: surname initial for
+ * individuals, first word of the entity name otherwise. Returns true/false, or null
+ * when either side is unreadable.
+ */
+export function panNameInitialMatches(decoded, name) {
+  if (!decoded?.name_initial || decoded.individual === null) return null;
+  const tokens = nameTokens(name);
+  if (!tokens.length) return null;
+  const word = decoded.individual ? tokens[tokens.length - 1] : tokens[0];
+  return word[0].toUpperCase() === decoded.name_initial;
+}
+
+/**
+ * PAN consistency against the extracted name and the expected holder category
+ * ('INDIVIDUAL', 'NON_INDIVIDUAL' or a PAN_HOLDER_TYPES value).
+ * Returns { decoded, name_initial_match, holder_type_match, reasons }; a null match means "not checked".
+ */
+export function checkPanConsistency(pan, { name, expected_holder } = {}) {
+  const decoded = decodePan(pan);
+  const out = { decoded, name_initial_match: null, holder_type_match: null, reasons: [] };
+  if (!decoded) return out;
+  if (decoded.holder_type_code && !decoded.holder_type) out.reasons.push('pan_holder_type_unknown');
+
+  if (name) {
+    out.name_initial_match = panNameInitialMatches(decoded, name);
+    if (out.name_initial_match === false) out.reasons.push('pan_name_initial_mismatch');
+  }
+  if (expected_holder && decoded.holder_type) {
+    if (expected_holder === 'INDIVIDUAL') out.holder_type_match = decoded.individual;
+    else if (expected_holder === 'NON_INDIVIDUAL') out.holder_type_match = !decoded.individual;
+    else out.holder_type_match = decoded.holder_type === expected_holder;
+    if (!out.holder_type_match) out.reasons.push(`pan_holder_type_mismatch_${decoded.holder_type.toLowerCase()}`);
+  }
+  return out;
+}
+
+// GST state / UT codes (first two GSTIN digits)
+export const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka',
+  '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+  '97': 'Other Territory', '99': 'Centre Jurisdiction'
+};
+
+// older names / common abbreviations seen on certificates
+const STATE_ALIASES = {
+  orissa: 'odisha', pondicherry: 'puducherry', uttaranchal: 'uttarakhand', nctofdelhi: 'delhi', newdelhi: 'delhi',
+  jk: 'jammuandkashmir', hp: 'himachalpradesh', up: 'uttarpradesh', mp: 'madhyapradesh', wb: 'westbengal',
+  tn: 'tamilnadu', ap: 'andhrapradesh', ka: 'karnataka', mh: 'maharashtra', gj: 'gujarat', rj: 'rajasthan',
+  ts: 'telangana', tg: 'telangana', cg: 'chhattisgarh', dnhdd: 'dadraandnagarhavelianddamananddiu'
+};
+
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * True when the 15th GSTIN character matches the mod-36 check character of the first 14.
+ */
+export function gstinChecksumValid(gstin) {
+  const g = (gstin || '').toString().toUpperCase();
+  if (!/^[0-9A-Z]{15}$/.test(g)) return false;
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARS.indexOf(g[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARS[(36 - (sum % 36)) % 36] === g[14];
+}
+
+/**
+ * Decode a GSTIN: { state_code, state_name, pan, entity_number, checksum_valid }, or null if not GSTIN-shaped.
+ */
+export function decodeGstin(gstin) {
+  const g = (gstin || '').toString().replace(/\s+/g, '').toUpperCase();
+  if (!/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][A-Z0-9]Z[A-Z0-9]$/.test(g)) return null;
+  const state_code = g.slice(0, 2);
+  return {
+    state_code,
+    state_name: GST_STATE_CODES[state_code] || null,
+    pan: g.slice(2, 12),
+    entity_number: g[12],
+    checksum_valid: gstinChecksumValid(g)
+  };
+}
+
+const stateKey = s => (s || '').toString().toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const STATE_NAMES = Object.entries(GST_STATE_CODES).filter(([code]) => code < '97').map(([, name]) => name);
+
+// joined lowercase words ("tamilnadu", "newdelhi", "mp") -> state name
+const STATE_BY_KEY = new Map(STATE_NAMES.map(name => [stateKey(name), name]));
+for (const [alias, key] of Object.entries(STATE_ALIASES)) STATE_BY_KEY.set(alias, STATE_BY_KEY.get(key));
+// "Dadra and Nagar Haveli and Daman and Diu"
+const MAX_STATE_WORDS = 8;
+
+// PIN code / country trailing the state in an address line ("Maharashtra - 400 069, India")
+const ADDRESS_TAIL = /(?:[^a-z0-9]*(?<![a-z0-9])(?:india|pin(?:\s*code)?|\d{3}\s?\d{3})(?![a-z0-9]))*[^a-z0-9]*$/i;
+
+/**
+ * States / UTs named in free text ("WB - Kolkata South", "Bhopal, MP", "State: Orissa").
+ * Names and aliases must be whole words; two-letter aliases must be written in capitals
+ * ("UP", not "Up Town"). With { address: true } a state only counts when it closes a
+ * comma-separated segment, optionally followed by a PIN code ("Noida, Uttar Pradesh 201301"),
+ * so landmarks and street names ("Opp. Delhi Gate, Agra") are not read as the state.
+ */
+export function statesIn(text, { address = false } = {}) {
+  if (!text) return [];
+  const found = new Set();
+  for (let segment of text.toString().split(/[,;|()\n\r]+/)) {
+    if (address) segment = segment.replace(ADDRESS_TAIL, '');
+    const words = segment.replace(/&/g, ' and ').split(/[^A-Za-z0-9]+/).filter(Boolean);
+    for (let end = words.length; end > 0; end--) {
+      for (let start = Math.max(0, end - MAX_STATE_WORDS); start < end; start++) {
+        const span = words.slice(start, end);
+        const key = span.join('').toLowerCase();
+        if (key.length === 2 && span[0] !== span[0].toUpperCase()) continue;
+        if (STATE_BY_KEY.has(key)) found.add(STATE_BY_KEY.get(key));
+      }
+      if (address) break;
+    }
+  }
+  return [...found];
+}
+
+/**
+ * Does a free-text jurisdiction ("West Bengal", "WB - Kolkata South", "State: Orissa") name the given state?
+ */
+export function stateMatches(stateName, jurisdiction) {
+  return Boolean(stateName) && statesIn(jurisdiction).includes(stateName);
+}
+
+// ROC state codes used in CINs
+const CIN_STATE_CODES = {
+  AN: 'Andaman and Nicobar Islands', AP: 'Andhra Pradesh', AR: 'Arunachal Pradesh', AS: 'Assam', BR: 'Bihar',
+  CH: 'Chandigarh', CT: 'Chhattisgarh', DN: 'Dadra and Nagar Haveli and Daman and Diu', DD: 'Dadra and Nagar Haveli and Daman and Diu',
+  DL: 'Delhi', GA: 'Goa', GJ: 'Gujarat', HR: 'Haryana', HP: 'Himachal Pradesh', JK: 'Jammu and Kashmir',
+  JH: 'Jharkhand', KA: 'Karnataka', KL: 'Kerala', LA: 'Ladakh', LD: 'Lakshadweep', MP: 'Madhya Pradesh',
+  MH: 'Maharashtra', MN: 'Manipur', ML: 'Meghalaya', MZ: 'Mizoram', NL: 'Nagaland', OR: 'Odisha',
+  PY: 'Puducherry', PB: 'Punjab', RJ: 'Rajasthan', SK: 'Sikkim', TN: 'Tamil Nadu', TG: 'Telangana',
+  TS: 'Telangana', TR: 'Tripura', UP: 'Uttar Pradesh', UR: 'Uttarakhand', UT: 'Uttarakhand', WB: 'West Bengal'
+};
+
+// CIN company class -> entity_type values it is consistent with
+const CIN_CLASS_ENTITY_TYPES = {
+  PTC: ['Private Limited'], PLC: ['Public Limited'], OPC: ['OPC'],
+  NPL: ['Private Limited', 'Public Limited'], GOI: ['Private Limited', 'Public Limited'], SGC: ['Private Limited', 'Public Limited'],
+  FTC: ['Private Limited'], FLC: ['Public Limited'], GAP: ['Private Limited'], GAT: ['Public Limited'],
+  ULT: ['Private Limited'], ULL: ['Public Limited']
+};
+
+/**
+ * Decode a CIN (e.g. U24230MH2015PTC123456) or LLPIN (e.g. AAB-1234, FLLPIN FAA-1234).
+ * Returns null when the value is neither, else
+ *  CIN:   { kind: 'CIN', listed, nic_code, state_code, state_name, year, company_class, serial }
+ *  LLPIN: { kind: 'LLPIN', foreign }
+ */
+export function decodeCompanyId(regNo) {
+  const v = (regNo || '').toString().replace(/\s+/g, '').toUpperCase();
+  const cin = v.match(/^([LU])([0-9]{5})([A-Z]{2})([0-9]{4})([A-Z]{3})([0-9]{6})$/);
+  if (cin) {
+    const [, listing, nic_code, state_code, year, company_class, serial] = cin;
+    return {
+      kind: 'CIN',
+      listed: listing === 'L',
+      nic_code,
+      state_code,
+      state_name: CIN_STATE_CODES[state_code] || null,
+      year: Number(year),
+      company_class,
+      serial
+    };
+  }
+  const llpin = v.match(/^([A-Z]{3})-?([0-9]{4})$/);
+  if (llpin) return { kind: 'LLPIN', foreign: llpin[1].startsWith('F') };
+  return null;
+}
+
+/**
+ * Structural and cross-field checks of a CIN / LLPIN against the certificate fields.
+ * Returns { decoded, structure_ok, year_match, state_match, class_match, reasons };
+ * a null match means "not checked / undetermined". An LLPIN on anything but an LLP, or a
+ * CIN on an LLP, fails the structure check outright.
+ */
+export function checkCompanyId(regNo, { entity_type, date_of_incorporation, registered_office_address } = {}) {
+  const decoded = decodeCompanyId(regNo);
+  const out = { decoded, structure_ok: false, year_match: null, state_match: null, class_match: null, reasons: [] };
+  if (!decoded) {
+    out.reasons.push('company_id_unrecognised');
+    return out;
+  }
+
+  if (decoded.kind === 'LLPIN') {
+    if (entity_type) out.class_match = entity_type === 'LLP';
+    out.structure_ok = out.class_match !== false;
+    if (out.class_match === false) out.reasons.push('llpin_entity_type_mismatch');
+    return out;
+  }
+  if (entity_type === 'LLP') {
+    out.class_match = false;
+    out.reasons.push('cin_entity_type_llp');
+    return out;
+  }
+
+  const thisYear = new Date().getUTCFullYear();
+  out.structure_ok = Boolean(decoded.state_name) && CIN_CLASS_ENTITY_TYPES[decoded.company_class] !== undefined
+    && decoded.year >= 1850 && decoded.year <= thisYear;
+  if (!decoded.state_name) out.reasons.push('cin_state_code_unknown');
+  if (!CIN_CLASS_ENTITY_TYPES[decoded.company_class]) out.reasons.push('cin_class_unknown');
+  if (decoded.year < 1850 || decoded.year > thisYear) out.reasons.push('cin_year_invalid');
+  // private / one-person companies cannot be listed
+  if (decoded.listed && ['PTC', 'OPC', 'ULT', 'FTC', 'GAP'].includes(decoded.company_class)) out.reasons.push('cin_listing_class_inconsistent');
+
+  if (date_of_incorporation) {
+    const d = new Date(date_of_incorporation);
+    if (!isNaN(d)) out.year_match = d.getUTCFullYear() === decoded.year;
+    if (out.year_match === false) out.reasons.push('cin_year_mismatch');
+  }
+  if (registered_office_address && decoded.state_name) {
+    const named = statesIn(registered_office_address, { address: true });
+    // only a conclusive mismatch when the address names some other state
+    if (named.includes(decoded.state_name)) out.state_match = true;
+    else if (named.length) out.state_match = false;
+    if (out.state_match === false) out.reasons.push('cin_state_mismatch');
+    else if (out.state_match === null) out.reasons.push('cin_state_unverified');
+  }
+  if (entity_type && CIN_CLASS_ENTITY_TYPES[decoded.company_class]) {
+    out.class_match = CIN_CLASS_ENTITY_TYPES[decoded.company_class].includes(entity_type);
+    if (!out.class_match) out.reasons.push('cin_class_entity_type_mismatch');
+  }
+  return out;
+}
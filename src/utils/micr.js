@@ -0,0 +1,49 @@
+// src/utils/micr.js
+// Cheque MICR band (E-13B) parsing: cheque no | city-bank-branch code | account id | transaction code.
+
+// E-13B symbols and their usual OCR renderings (transit A/⑆, amount B/⑇, on-us C/⑈, dash D/⑉)
+const MICR_SYMBOLS = /[⑆⑇⑈⑉ABCDT:;"'|]/g;
+
+// CTS-2010 transaction codes; the older 1x series marks pre-CTS-2010 cheque leaves
+export const CTS_2010_TRANSACTION_CODES = { 29: 'current', 30: 'cash_credit', 31: 'savings' };
+export const LEGACY_TRANSACTION_CODES = { 10: 'savings', 11: 'current', 13: 'cash_credit' };
+
+/**
+ * Parse a MICR line as read from the cheque, e.g. "⑈004512⑈ 110002001⑆ 123456⑈ 31".
+ * Returns null when no cheque number + MICR code pair can be found, else
+ * { cheque_number, micr_code, city_code, bank_code, branch_code, account_id, transaction_code,
+ *   transaction_type, cts_2010 } (cts_2010 null when the code is unknown).
+ */
+export function parseMicrLine(line) {
+  if (!line) return null;
+  const groups = line.toString().toUpperCase().replace(MICR_SYMBOLS, ' ').match(/[0-9]+/g) || [];
+
+  const chequeIdx = groups.findIndex(g => g.length === 6);
+  if (chequeIdx === -1 || groups[chequeIdx + 1]?.length !== 9) return null;
+  const rest = groups.slice(chequeIdx + 2);
+  const account_id = rest[0]?.length === 6 ? rest.shift() : null;
+  const transaction_code = rest[0]?.length === 2 ? rest[0] : null;
+  const micr_code = groups[chequeIdx + 1];
+
+  let transaction_type = null;
+  let cts_2010 = null;
+  if (CTS_2010_TRANSACTION_CODES[transaction_code]) {
+    transaction_type = CTS_2010_TRANSACTION_CODES[transaction_code];
+    cts_2010 = true;
+  } else if (LEGACY_TRANSACTION_CODES[transaction_code]) {
+    transaction_type = LEGACY_TRANSACTION_CODES[transaction_code];
+    cts_2010 = false;
+  }
+
+  return {
+    cheque_number: groups[chequeIdx],
+    micr_code,
+    city_code: micr_code.slice(0, 3),
+    bank_code: micr_code.slice(3, 6),
+    branch_code: micr_code.slice(6, 9),
+    account_id,
+    transaction_code,
+    transaction_type,
+    cts_2010
+  };
+}
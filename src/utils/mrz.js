@@ -0,0 +1,86 @@
+// src/utils/mrz.js
+// ICAO 9303 TD3 (passport booklet) machine readable zone parsing and check digits.
+
+const TD3_LENGTH = 44;
+const WEIGHTS = [7, 3, 1];
+
+function charValue(c) {
+  if (c === '<') return 0;
+  if (/[0-9]/.test(c)) return Number(c);
+  if (/[A-Z]/.test(c)) return c.charCodeAt(0) - 55; // A=10 .. Z=35
+  return NaN;
+}
+
+/**
+ * ICAO 9303 check digit of a MRZ field (weights 7-3-1, fillers count as 0).
+ */
+export function mrzCheckDigit(field) {
+  let sum = 0;
+  for (let i = 0; i < field.length; i++) {
+    const v = charValue(field[i]);
+    if (Number.isNaN(v)) return null;
+    sum += v * WEIGHTS[i % 3];
+  }
+  return String(sum % 10);
+}
+
+// OCR often drops trailing fillers or reads them as guillemets / spaces
+function cleanLine(line) {
+  return (line || '').toString().toUpperCase().replace(/[«‹]/g, '<').replace(/\s+/g, '').padEnd(TD3_LENGTH, '<');
+}
+
+// YYMMDD -> ISO date; `futureOk` picks the century for expiry dates
+function mrzDate(yymmdd, futureOk) {
+  if (!/^[0-9]{6}$/.test(yymmdd)) return null;
+  const yy = Number(yymmdd.slice(0, 2));
+  const nowYY = new Date().getUTCFullYear() % 100;
+  const century = futureOk ? 2000 : (yy > nowYY ? 1900 : 2000);
+  const iso = `${century + yy}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`;
+  return isNaN(new Date(iso)) ? null : iso;
+}
+
+/**
+ * Parse the two TD3 lines. Returns null when the lines are not a passport MRZ, else
+ * { document_type, issuing_state, surname, given_names, name, document_number, nationality,
+ *   dob, sex, expiry_date, personal_number, check_digits: { document_number, dob, expiry_date, personal_number, composite } }
+ * where each check_digits entry is true/false.
+ */
+export function parseTd3(lines) {
+  if (!Array.isArray(lines) || lines.length !== 2) return null;
+  const l1 = cleanLine(lines[0]);
+  const l2 = cleanLine(lines[1]);
+  if (l1.length !== TD3_LENGTH || l2.length !== TD3_LENGTH || l1[0] !== 'P') return null;
+
+  const [surnamePart, givenPart = ''] = l1.slice(5).split('<<');
+  const surname = surnamePart.replace(/</g, ' ').trim();
+  const given_names = givenPart.replace(/</g, ' ').trim();
+
+  const docNo = l2.slice(0, 9);
+  const dob = l2.slice(13, 19);
+  const expiry = l2.slice(21, 27);
+  const personal = l2.slice(28, 42);
+  // an empty personal number may carry '<' instead of a check digit
+  const personalCheck = l2[42] === '<' && /^<+$/.test(personal) ? true : mrzCheckDigit(personal) === l2[42];
+  const composite = l2.slice(0, 10) + l2.slice(13, 20) + l2.slice(21, 43);
+
+  return {
+    document_type: l1.slice(0, 2).replace(/</g, ''),
+    issuing_state: l1.slice(2, 5).replace(/</g, ''),
+    surname,
+    given_names,
+    name: [given_names, surname].filter(Boolean).join(' '),
+    document_number: docNo.replace(/</g, ''),
+    nationality: l2.slice(10, 13).replace(/</g, ''),
+    dob: mrzDate(dob, false),
+    sex: { M: 'M', F: 'F' }[l2[20]] || 'O',
+    expiry_date: mrzDate(expiry, true),
+    personal_number: personal.replace(/</g, '') || null,
+    check_digits: {
+      document_number: mrzCheckDigit(docNo) === l2[9],
+      dob: mrzCheckDigit(dob) === l2[19],
+      expiry_date: mrzCheckDigit(expiry) === l2[27],
+      personal_number: personalCheck,
+      composite: mrzCheckDigit(composite) === l2[43]
+    }
+  };
+}
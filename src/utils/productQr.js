@@ -0,0 +1,92 @@
+// src/utils/productQr.js
+// Product QR payload: base64(JSON { productId, batch, issuedAt, exp, nonce, [kid,] sig }).
+// Legacy codes: sig = HMAC-SHA256 over the canonical string with the product secret.
+// Keyed codes: sig = Ed25519 / ES256 over "<canonical>|<kid>" with the manufacturer's key.
+// Shared by issuance and verification.
+import crypto from 'crypto';
+
+export function canonicalString({ productId, batch = '', issuedAt = '', exp = '', nonce = '' }) {
+  return `${productId}|${batch}|${issuedAt}|${exp}|${nonce}`;
+}
+
+// the kid is signed too, so a signature cannot be re-labelled as another key's
+export function keyedCanonicalString(fields) {
+  return `${canonicalString(fields)}|${fields.kid}`;
+}
+
+// Utility: compute HMAC-SHA256 base64 signature using secret
+export function computeHmacBase64(secret, canonical) {
+  return crypto.createHmac('sha256', secret).update(canonical).digest('base64');
+}
+
+/**
+ * Sign and encode a payload. Returns { payload, fields } where payload is the string put in the QR.
+ */
+export function signPayload(secret, { productId, batch = '', issuedAt = Date.now(), exp = '', nonce = crypto.randomBytes(8).toString('hex') }) {
+  const fields = { productId, batch, issuedAt, exp, nonce };
+  fields.sig = computeHmacBase64(secret, canonicalString(fields));
+  return { payload: encodePayload(fields), fields };
+}
+
+/**
+ * Raw signature bytes. ES256 uses the fixed-size r||s encoding to keep QR payloads short.
+ */
+export function signBytes(alg, privateKey, data) {
+  if (alg === 'Ed25519') return crypto.sign(null, Buffer.from(data), privateKey);
+  return crypto.sign('sha256', Buffer.from(data), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+}
+
+export function verifyBytes(alg, publicKey, data, signature) {
+  try {
+    if (alg === 'Ed25519') return crypto.verify(null, Buffer.from(data), publicKey, signature);
+    return crypto.verify('sha256', Buffer.from(data), { key: publicKey, dsaEncoding: 'ieee-p1363' }, signature);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Same as signPayload with an asymmetric key { kid, alg, privateKey }.
+ */
+export function signPayloadWithKey(key, { productId, batch = '', issuedAt = Date.now(), exp = '', nonce = crypto.randomBytes(8).toString('hex') }) {
+  const fields = { productId, batch, issuedAt, exp, nonce, kid: key.kid };
+  fields.sig = signBytes(key.alg, key.privateKey, keyedCanonicalString(fields)).toString('base64');
+  return { payload: encodePayload(fields), fields };
+}
+
+function encodePayload(fields) {
+  return Buffer.from(JSON.stringify(fields), 'utf8').toString('base64');
+}
+
+/**
+ * Payload string from scanned QR text: either the raw base64 payload or a verification URL
+ * carrying it in a `p` / `payload` query parameter or as the last path segment.
+ */
+export function extractPayload(content) {
+  const text = String(content ?? '').trim();
+  if (!/^https?:\/\//i.test(text)) return text;
+  let raw;
+  try {
+    const url = new URL(text);
+    const fromQuery = url.searchParams.get('p') ?? url.searchParams.get('payload');
+    // a malformed escape in the path (e.g. "%E0%A4%A") throws URIError
+    raw = fromQuery ?? decodeURIComponent(url.pathname.split('/').filter(Boolean).pop() || '');
+  } catch {
+    return null;
+  }
+  // an unescaped '+' in a query string arrives as a space
+  return raw.replace(/ /g, '+') || null;
+}
+
+/**
+ * Decode a scanned payload; null when it is not base64 JSON.
+ */
+export function decodePayload(qrContent) {
+  if (!qrContent) return null;
+  try {
+    const obj = JSON.parse(Buffer.from(String(qrContent), 'base64').toString('utf8'));
+    return obj && typeof obj === 'object' ? obj : null;
+  } catch {
+    return null;
+  }
+}
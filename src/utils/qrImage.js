@@ -0,0 +1,274 @@
+// src/utils/qrImage.js
+// QR decoding from uploaded images (kept apart from payload verification).
+//
+// qrcode-reader only copes with upright, high-contrast, modestly sized codes, so images go
+// through a list of Jimp preprocessing passes until one decodes. Each pass is named; the
+// name is reported with the result so support can tell which step made a photo readable.
+// All of it is synchronous CPU work: request handlers go through qrImagePool.js instead.
+import { Jimp } from 'jimp';
+import QrCodeReader from 'qrcode-reader';
+
+// camera photos are scaled into this range first: big frames are slow to search and
+// modules only a pixel or two wide are missed by the finder-pattern search
+const MAX_SIDE = 1200;
+const MIN_SIDE = 400;
+// steeper angles are left out: qrcode-reader starts returning misreads instead of errors
+const ROTATIONS = [15, -15, 30, -30];
+// tile sides as fractions of the longer image side; tiles overlap by half a side
+const TILE_FRACTIONS = [1 / 2, 1 / 3];
+// finder centres sit 3.5 modules inside the code; the rest covers rotation and quiet zone
+const MASK_PADDING_MODULES = 6;
+// Jimp transforms of a full frame take hundreds of ms on one core; an unreadable upload
+// stops being retried after this long. Readable single codes decode well within it; a
+// crowded photo needs a tile search per code, so the multi-code search gets more.
+const TIME_BUDGET_MS = 4000;
+const MULTI_CODE_BUDGET_MS = 8000;
+const WHITE = 0xffffffff;
+
+function decodeBitmap(bitmap) {
+  return new Promise((resolve, reject) => {
+    const qr = new QrCodeReader();
+    qr.callback = (err, value) => (err || !value ? reject(err || new Error('no QR found')) : resolve(value));
+    qr.decode(bitmap);
+  });
+}
+
+// scale factor applied by fitSize
+function fitScale({ width, height }) {
+  const longest = Math.max(width, height);
+  const shortest = Math.min(width, height);
+  if (longest > MAX_SIDE) return MAX_SIDE / longest;
+  if (shortest < MIN_SIDE) return Math.min(MIN_SIDE / shortest, MAX_SIDE / longest);
+  return 1;
+}
+
+function fitSize(image) {
+  const factor = fitScale(image.bitmap);
+  return factor === 1 ? image : image.scale(factor);
+}
+
+// Otsu's threshold over the (already greyscale) red channel, then hard black/white
+function binarize(image) {
+  const { data } = image.bitmap;
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i += 4) histogram[data[i]] += 1;
+  const total = data.length / 4;
+  let sumAll = 0;
+  for (let v = 0; v < 256; v += 1) sumAll += v * histogram[v];
+
+  let sumBelow = 0;
+  let countBelow = 0;
+  let best = 0;
+  let level = 127;
+  for (let v = 0; v < 256; v += 1) {
+    countBelow += histogram[v];
+    if (!countBelow || countBelow === total) continue;
+    sumBelow += v * histogram[v];
+    const meanBelow = sumBelow / countBelow;
+    const meanAbove = (sumAll - sumBelow) / (total - countBelow);
+    const between = countBelow * (total - countBelow) * (meanBelow - meanAbove) ** 2;
+    if (between > best) {
+      best = between;
+      level = v;
+    }
+  }
+
+  for (let i = 0; i < data.length; i += 4) {
+    const v = data[i] > level ? 255 : 0;
+    data[i] = v;
+    data[i + 1] = v;
+    data[i + 2] = v;
+    data[i + 3] = 255;
+  }
+  return image;
+}
+
+// Passes in the order they are tried, as [name, fn, scale]; each fn receives its own clone
+// and scale is how much it enlarges the image, needed to map found codes back.
+// qrcode-reader misses some codes at one resolution and reads them at another, so plain
+// rescales earn their place next to the colour passes.
+const PASSES = [
+  ['original', img => img, 1],
+  ['contrast', img => img.greyscale().contrast(0.5), 1],
+  ['threshold', img => binarize(img.greyscale().normalize()), 1],
+  ['scale0.75', img => img.scale(0.75), 0.75],
+  ['scale1.5', img => img.scale(1.5), 1.5],
+  ['scale0.5+threshold', img => binarize(img.scale(0.5).greyscale().normalize()), 0.5]
+];
+
+const pick = (...names) => PASSES.filter(([name]) => names.includes(name));
+// rotating the whole frame is the costly step, so few passes per angle; tiles are small
+// and codes in them are often cut close, so they get more
+const ROTATION_PASSES = pick('original', 'scale0.75');
+const TILE_PASSES = pick('original', 'threshold', 'scale0.75', 'scale1.5');
+
+const scaled = factor => p => ({ x: p.x / factor, y: p.y / factor });
+
+// Jimp rotates counter-clockwise about the centre and grows the canvas to fit
+function rotated(base, deg) {
+  const image = base.clone();
+  image.background = WHITE; // corners uncovered by the rotation must not read as dark modules
+  image.rotate(deg);
+  const rad = (deg * Math.PI) / 180;
+  const [cos, sin] = [Math.cos(rad), Math.sin(rad)];
+  const from = { x: image.bitmap.width / 2, y: image.bitmap.height / 2 };
+  const to = { x: base.bitmap.width / 2, y: base.bitmap.height / 2 };
+  const toBase = ({ x, y }) => {
+    const [dx, dy] = [x - from.x, y - from.y];
+    return { x: to.x + dx * cos - dy * sin, y: to.y + dx * sin + dy * cos };
+  };
+  return { image, toBase };
+}
+
+/**
+ * Whole-image candidates in the order they are tried, as
+ * [pass name, () => { image, toBase }] where toBase maps a point of the candidate
+ * image back onto the base image. Nothing more is yielded once the deadline has passed.
+ */
+function* wholeImageCandidates(base, deadline, rotations = ROTATIONS) {
+  for (const [name, pass, factor] of PASSES) {
+    if (Date.now() > deadline) return;
+    yield [name, () => ({ image: pass(base.clone()), toBase: scaled(factor) })];
+  }
+  for (const deg of rotations) {
+    for (const [name, pass, factor] of ROTATION_PASSES) {
+      if (Date.now() > deadline) return;
+      yield [`rotate${deg}+${name}`, () => {
+        const { image, toBase } = rotated(base, deg);
+        return { image: pass(image), toBase: p => toBase(scaled(factor)(p)) };
+      }];
+    }
+  }
+}
+
+/**
+ * Overlapping square crops of the base image, as [tile name, candidates]; they find codes
+ * too small for the whole-image search or crowded by other codes. Stops at the deadline.
+ */
+function* tileCandidates(base, deadline) {
+  const { width, height } = base.bitmap;
+  for (const fraction of TILE_FRACTIONS) {
+    const side = Math.round(Math.max(width, height) * fraction);
+    const [w, h] = [Math.min(side, width), Math.min(side, height)];
+    const step = Math.max(1, Math.floor(side / 2));
+    const starts = (length, span) => {
+      const out = [];
+      for (let at = 0; at + span < length; at += step) out.push(at);
+      out.push(length - span);
+      return out;
+    };
+    const factor = fitScale({ width: w, height: h });
+    for (const y of starts(height, h)) {
+      for (const x of starts(width, w)) {
+        if (Date.now() > deadline) return;
+        const candidates = TILE_PASSES.map(([name, pass, passFactor]) => [name, () => ({
+          image: pass(fitSize(base.clone().crop({ x, y, w, h }))),
+          toBase: p => ({ x: x + p.x / (factor * passFactor), y: y + p.y / (factor * passFactor) })
+        })]);
+        yield [`tile-${side}px-x${x}y${y}`, candidates];
+      }
+    }
+  }
+}
+
+// Axis-aligned box around a decoded code, in base image coordinates
+function codeRegion(points, toBase) {
+  const [bottomLeft, topLeft, topRight] = points;
+  const corners = [bottomLeft, topLeft, topRight, {
+    x: bottomLeft.x + topRight.x - topLeft.x,
+    y: bottomLeft.y + topRight.y - topLeft.y
+  }].map(toBase);
+  const [a, b] = [toBase(topLeft), toBase(topRight)];
+  const moduleSize = Math.hypot(b.x - a.x, b.y - a.y) / Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y)
+    * topLeft.estimatedModuleSize;
+  const pad = moduleSize * MASK_PADDING_MODULES;
+  const xs = corners.map(p => p.x);
+  const ys = corners.map(p => p.y);
+  return {
+    x: Math.min(...xs) - pad,
+    y: Math.min(...ys) - pad,
+    x2: Math.max(...xs) + pad,
+    y2: Math.max(...ys) + pad
+  };
+}
+
+// paint a found code white so the next search finds another one
+function maskRegion(image, region) {
+  const { width, height, data } = image.bitmap;
+  const x0 = Math.max(0, Math.floor(region.x));
+  const y0 = Math.max(0, Math.floor(region.y));
+  const x1 = Math.min(width, Math.ceil(region.x2));
+  const y1 = Math.min(height, Math.ceil(region.y2));
+  for (let y = y0; y < y1; y += 1) data.fill(255, (y * width + x0) * 4, (y * width + x1) * 4);
+}
+
+// first candidate that decodes before the deadline, as { text, pass, region } or null
+async function firstHit(candidates, deadline, passPrefix = '') {
+  for (const [pass, make] of candidates) {
+    if (Date.now() > deadline) break;
+    const { image, toBase } = make();
+    try {
+      const { result, points } = await decodeBitmap(image.bitmap);
+      const region = points?.length >= 3 ? codeRegion(points, toBase) : null;
+      return { text: result, pass: passPrefix + pass, region };
+    } catch {
+      // not readable after this pass, try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * The QR code in an image buffer (PNG/JPEG/...), as { text, pass } where pass names the
+ * preprocessing step that made it readable (e.g. "original", "rotate15+scale0.75",
+ * "tile-300px-x0y150+original"). Rejects when no code can be read.
+ */
+export async function decodeQrImage(buffer) {
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  const base = fitSize(await Jimp.read(buffer));
+  let hit = await firstHit(wholeImageCandidates(base, deadline), deadline);
+  for (const [tile, candidates] of hit ? [] : tileCandidates(base, deadline)) {
+    hit = await firstHit(candidates, deadline, `${tile}+`);
+    if (hit || Date.now() > deadline) break;
+  }
+  if (!hit) throw new Error('no QR found');
+  return { text: hit.text, pass: hit.pass };
+}
+
+/**
+ * Every distinct QR code in an image buffer, as [{ text, pass }] in discovery order.
+ * Each code read is masked out and the search repeated; when the whole image yields
+ * nothing, tiles separate codes that crowd each other. Empty when nothing can be read.
+ */
+export async function decodeAllQrImages(buffer, { maxCodes = 10 } = {}) {
+  const deadline = Date.now() + MULTI_CODE_BUDGET_MS;
+  const base = fitSize(await Jimp.read(buffer));
+  const found = new Map();
+  // a new code that could be masked, so searching again can turn up another one
+  const add = hit => {
+    if (found.has(hit.text)) return false;
+    found.set(hit.text, { text: hit.text, pass: hit.pass });
+    if (!hit.region) return false;
+    maskRegion(base, hit.region);
+    return true;
+  };
+
+  let rotations = ROTATIONS;
+  let progress = true;
+  while (progress && found.size < maxCodes && Date.now() <= deadline) {
+    progress = false;
+    const hit = await firstHit(wholeImageCandidates(base, deadline, rotations), deadline);
+    if (hit) {
+      progress = add(hit);
+      // codes in one photo share its tilt: keep rotating only while that is what reads them
+      rotations = hit.pass.startsWith('rotate') ? ROTATIONS : [];
+      continue;
+    }
+    for (const [tile, candidates] of tileCandidates(base, deadline)) {
+      if (found.size >= maxCodes || Date.now() > deadline) break;
+      const tileHit = await firstHit(candidates, deadline, `${tile}+`);
+      if (tileHit && add(tileHit)) progress = true;
+    }
+  }
+  return [...found.values()];
+}
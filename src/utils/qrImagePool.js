@@ -0,0 +1,105 @@
+// src/utils/qrImagePool.js
+// The decoders of qrImage.js, run on worker threads. Jimp transforms and qrcode-reader are
+// synchronous, and an unreadable photo keeps them busy for seconds: on the main thread that
+// would stall every other request. Jobs beyond the pool size wait their turn.
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./qrImageWorker.js', import.meta.url);
+// well past the decoders' own time budget; a worker still busy by then is stuck and replaced
+const HARD_TIMEOUT_MS = 15000;
+
+const idle = [];
+const queue = [];
+let spawned = 0;
+// exit/error listeners of parked workers, removed again when they take a job
+const parked = new WeakMap();
+
+// QR_DECODE_WORKERS (read per call, see src/index.js); default leaves one core to the API
+function poolSize() {
+  return parseInt(process.env.QR_DECODE_WORKERS || '', 10) || Math.max(1, os.availableParallelism() - 1);
+}
+
+function spawn() {
+  spawned += 1;
+  return new Worker(WORKER_URL);
+}
+
+function next() {
+  if (queue.length && spawned < poolSize()) run(spawn(), queue.shift());
+}
+
+function release(worker) {
+  if (queue.length) return run(worker, queue.shift());
+  // a worker that dies while parked leaves the pool, so no job is ever posted to it
+  const retire = () => {
+    parked.delete(worker);
+    idle.splice(idle.indexOf(worker), 1);
+    spawned -= 1;
+    next();
+  };
+  const ignore = () => {}; // an 'error' is followed by 'exit'
+  worker.on('exit', retire).on('error', ignore);
+  parked.set(worker, [retire, ignore]);
+  worker.unref(); // an idle pool must not keep the process alive
+  idle.push(worker);
+}
+
+function run(worker, { job, bytes, options, resolve, reject }) {
+  const [retire, ignore] = parked.get(worker) || [];
+  if (retire) worker.off('exit', retire).off('error', ignore);
+  parked.delete(worker);
+  worker.ref();
+  // settled here rather than on 'exit': terminating a thread that already died emits none
+  const timer = setTimeout(() => {
+    worker.terminate();
+    lost(new Error('QR decode worker timed out'));
+  }, HARD_TIMEOUT_MS);
+  // only our own listeners: Worker keeps internal ones that removeAllListeners would drop
+  const settle = () => {
+    clearTimeout(timer);
+    worker.off('message', done).off('error', lost).off('exit', exited);
+  };
+  function done({ result, error }) {
+    settle();
+    if (error) reject(new Error(error));
+    else resolve(result);
+    release(worker);
+  }
+  function lost(err) {
+    settle();
+    spawned -= 1;
+    reject(err);
+    next();
+  }
+  function exited(code) {
+    lost(new Error(`QR decode worker exited with code ${code}`));
+  }
+  worker.on('message', done).on('error', lost).on('exit', exited);
+  worker.postMessage({ job, bytes, options }, [bytes.buffer]);
+}
+
+function submit(job, buffer, options) {
+  return new Promise((resolve, reject) => {
+    // a private copy, so its memory can be handed to the worker instead of cloned
+    const task = { job, bytes: new Uint8Array(buffer), options, resolve, reject };
+    const worker = idle.pop() || (spawned < poolSize() ? spawn() : null);
+    if (worker) run(worker, task);
+    else queue.push(task);
+  });
+}
+
+/**
+ * decodeQrImage of qrImage.js on a worker thread: { text, pass }, rejects when no code
+ * can be read.
+ */
+export function decodeQrImage(buffer) {
+  return submit('decodeQrImage', buffer);
+}
+
+/**
+ * decodeAllQrImages of qrImage.js on a worker thread: [{ text, pass }].
+ */
+export function decodeAllQrImages(buffer, options) {
+  return submit('decodeAllQrImages', buffer, options);
+}
@@ -0,0 +1,15 @@
+// src/utils/qrImageWorker.js
+// Worker thread entry for qrImagePool.js: runs one decode job at a time.
+import { parentPort } from 'worker_threads';
+import { decodeAllQrImages, decodeQrImage } from './qrImage.js';
+
+const JOBS = { decodeQrImage, decodeAllQrImages };
+
+parentPort.on('message', async ({ job, bytes, options }) => {
+  try {
+    const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    parentPort.postMessage({ result: await JOBS[job](buffer, options) });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  }
+});
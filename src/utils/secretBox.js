@@ -0,0 +1,36 @@
+// src/utils/secretBox.js
+// AES-256-GCM encryption for secrets kept in Mongo (product signing secrets).
+import crypto from 'crypto';
+
+const VERSION = 'v1';
+
+// PRODUCT_SECRET_KEY: 32 bytes as hex (64 chars) or base64. Read per call because
+// src/index.js loads .env after the app modules are imported.
+function masterKey() {
+  const raw = process.env.PRODUCT_SECRET_KEY || '';
+  const key = /^[0-9a-fA-F]{64}$/.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    const err = new Error('PRODUCT_SECRET_KEY must be 32 bytes (hex or base64)');
+    err.code = 'secret_key_missing';
+    throw err;
+  }
+  return key;
+}
+
+/**
+ * Encrypt a UTF-8 secret. Returns "v1:<iv>:<tag>:<ciphertext>" (base64 parts).
+ */
+export function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey(), iv);
+  const ct = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ct.toString('base64')].join(':');
+}
+
+export function decryptSecret(box) {
+  const [version, iv, tag, ct] = (box || '').split(':');
+  if (version !== VERSION || !ct) throw Object.assign(new Error('unsupported secret format'), { code: 'secret_corrupt' });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ct, 'base64')), decipher.final()]).toString('utf8');
+}
@@ -0,0 +1,112 @@
+// src/utils/transliterate.js
+// Offline Indic -> Latin transliteration for name matching (no diacritics, name-style spellings).
+// Devanagari, Bengali, Gujarati, Tamil and Telugu share the ISCII-derived block layout, so one
+// table keyed by offset from the block start covers all five.
+
+const SCRIPTS = [
+  { name: 'DEVANAGARI', start: 0x0900, dropFinalA: true },
+  { name: 'BENGALI', start: 0x0980, dropFinalA: true },
+  { name: 'GUJARATI', start: 0x0A80, dropFinalA: true },
+  { name: 'TAMIL', start: 0x0B80, dropFinalA: false },
+  { name: 'TELUGU', start: 0x0C00, dropFinalA: false }
+];
+
+const VOWELS = {
+  0x05: 'a', 0x06: 'a', 0x07: 'i', 0x08: 'i', 0x09: 'u', 0x0A: 'u', 0x0B: 'ri', 0x0C: 'li',
+  0x0D: 'e', 0x0E: 'e', 0x0F: 'e', 0x10: 'ai', 0x11: 'o', 0x12: 'o', 0x13: 'o', 0x14: 'au',
+  0x60: 'ri', 0x61: 'li'
+};
+
+const MATRAS = {
+  0x3E: 'a', 0x3F: 'i', 0x40: 'i', 0x41: 'u', 0x42: 'u', 0x43: 'ri', 0x44: 'ri',
+  0x45: 'e', 0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x49: 'o', 0x4A: 'o', 0x4B: 'o', 0x4C: 'au',
+  0x62: 'li', 0x63: 'li'
+};
+
+const CONSONANTS = {
+  0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'n',
+  0x1A: 'ch', 0x1B: 'chh', 0x1C: 'j', 0x1D: 'jh', 0x1E: 'n',
+  0x1F: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+  0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n',
+  0x2A: 'p', 0x2B: 'ph', 0x2C: 'b', 0x2D: 'bh', 0x2E: 'm',
+  0x2F: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'zh', 0x35: 'v',
+  0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h',
+  // nukta forms (Devanagari क़..य़, Bengali ড়/ঢ়/য়)
+  0x58: 'q', 0x59: 'kh', 0x5A: 'gh', 0x5B: 'z', 0x5C: 'r', 0x5D: 'rh', 0x5E: 'f', 0x5F: 'y'
+};
+
+const SIGNS = { 0x01: 'n', 0x02: 'n', 0x03: 'h', 0x50: 'om', 0x64: ' ', 0x65: ' ' };
+const VIRAMA = 0x4D;
+const NUKTA = 0x3C;
+const BENGALI_KHANDA_TA = 0x09CE;
+
+function scriptOf(cp) {
+  return SCRIPTS.find(s => cp >= s.start && cp < s.start + 0x80) || null;
+}
+
+/**
+ * Name of the Indic script used in a string (first one found), or null for Latin/other text.
+ */
+export function detectScript(text) {
+  if (!text) return null;
+  for (const ch of text.toString()) {
+    const s = scriptOf(ch.codePointAt(0));
+    if (s) return s.name;
+  }
+  return null;
+}
+
+/**
+ * Transliterate Devanagari, Bengali, Gujarati, Tamil and Telugu text to lowercase Latin.
+ * Characters outside those scripts are passed through unchanged.
+ * e.g. "सरिता शर्मा" -> "sarita sharma", "অর্ণব ঘোষ" -> "arnab ghosh"
+ */
+export function transliterate(text) {
+  if (!text) return '';
+  const cps = [...text.toString().normalize('NFC')].map(c => c.codePointAt(0));
+  let out = '';
+  // inherent vowel of the last consonant; dropped at word end for north Indian scripts
+  // unless it closes a conjunct ("Krishna", "Gupta")
+  let pendingA = null;
+  let afterVirama = false;
+  const flush = (atWordEnd) => {
+    if (pendingA && !(atWordEnd && pendingA.script.dropFinalA && !pendingA.cluster)) out += 'a';
+    pendingA = null;
+  };
+
+  for (let i = 0; i < cps.length; i++) {
+    const cp = cps[i];
+    const script = scriptOf(cp);
+    if (!script) {
+      afterVirama = false;
+      flush(true);
+      out += String.fromCodePoint(cp);
+      continue;
+    }
+    const off = cp - script.start;
+
+    if (cp === BENGALI_KHANDA_TA) { flush(false); out += 't'; continue; }
+    if (CONSONANTS[off] !== undefined) {
+      flush(false);
+      out += CONSONANTS[off];
+      pendingA = { script, cluster: afterVirama };
+      afterVirama = false;
+      continue;
+    }
+    if (off === NUKTA) continue;
+    afterVirama = off === VIRAMA;
+    if (off === VIRAMA) { pendingA = null; continue; }
+    if (MATRAS[off] !== undefined) { pendingA = null; out += MATRAS[off]; continue; }
+    if (VOWELS[off] !== undefined) { flush(false); out += VOWELS[off]; continue; }
+    if (off >= 0x66 && off <= 0x6F) { flush(true); out += String(off - 0x66); continue; }
+    if (SIGNS[off] !== undefined) {
+      const sign = SIGNS[off];
+      flush(sign === ' ');
+      out += sign;
+      continue;
+    }
+    // avagraha, accents and other marks carry nothing for matching
+  }
+  flush(true);
+  return out.toLowerCase();
+}
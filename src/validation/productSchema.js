@@ -0,0 +1,104 @@
+// src/validation/productSchema.js
+import Joi from 'joi';
+
+// ids end up in the QR canonical string, which is '|' separated
+const code = Joi.string().trim().pattern(/^[A-Za-z0-9._-]{1,64}$/);
+const secret = Joi.string().min(8).max(256);
+
+const batchFields = {
+  batch_id: code.required(),
+  manufactured_at: Joi.date().iso().optional(),
+  expires_at: Joi.date().iso().optional(),
+  // only to keep already printed codes valid; normally generated or inherited from the product
+  secret: secret.optional()
+};
+
+const scanPolicy = Joi.object({
+  max_total_scans: Joi.number().integer().min(1).optional(),
+  max_scans: Joi.number().integer().min(1).optional(),
+  max_travel_kmh: Joi.number().positive().optional()
+});
+
+export const createProductSchema = Joi.object({
+  product_id: code.required(),
+  name: Joi.string().trim().max(200).required(),
+  manufacturer: Joi.string().trim().max(200).optional(),
+  secret: secret.optional(),
+  batches: Joi.array().items(Joi.object(batchFields)).unique('batch_id').max(500).default([]),
+  scan_policy: scanPolicy.optional()
+});
+
+export const updateProductSchema = Joi.object({
+  name: Joi.string().trim().max(200).optional(),
+  manufacturer: Joi.string().trim().max(200).optional(),
+  active: Joi.boolean().optional(),
+  scan_policy: scanPolicy.optional(),
+  rotate_secret: Joi.boolean().optional()
+}).min(1);
+
+export const createBatchSchema = Joi.object(batchFields);
+
+export const updateBatchSchema = Joi.object({
+  active: Joi.boolean().required()
+});
+
+export const listProductsSchema = Joi.object({
+  active: Joi.boolean().optional()
+});
+
+export const issueQrSchema = Joi.object({
+  batch: code.allow('').default(''),
+  // defaults to the batch expiry; codes without either never expire
+  exp: Joi.date().iso().greater('now').optional(),
+  format: Joi.string().lowercase().valid('png', 'svg').default('png'),
+  size: Joi.number().integer().min(64).max(2000).default(300)
+});
+
+export const issueBatchQrSchema = Joi.object({
+  // zip renders every image in-process, so it is capped lower than csv
+  count: Joi.number().integer().min(1).max(10000).required()
+    .when('format', { is: 'csv', otherwise: Joi.number().max(2000) }),
+  exp: Joi.date().iso().greater('now').optional(),
+  format: Joi.string().lowercase().valid('zip', 'csv').default('zip'),
+  image_format: Joi.string().lowercase().valid('png', 'svg').default('png'),
+  size: Joi.number().integer().min(64).max(2000).default(300)
+});
+
+// optional hints from the scanning app
+const scanContextFields = {
+  lat: Joi.number().min(-90).max(90).optional(),
+  lng: Joi.number().min(-180).max(180).optional(),
+  country: Joi.string().trim().max(64).optional(),
+  city: Joi.string().trim().max(128).optional(),
+  device: Joi.string().trim().max(128).optional()
+};
+
+// multipart text fields sent with a scanned image
+export const productScanContextSchema = Joi.object({
+  ...scanContextFields,
+  // report every code found in the image instead of the first
+  multiple: Joi.boolean().default(false)
+}).and('lat', 'lng').unknown(true);
+
+// already-scanned code: raw base64 payload or the verification URL printed in the QR
+export const verifyProductPayloadSchema = Joi.object({
+  submitted_by: Joi.string().optional(),
+  payload: Joi.string().trim().max(4096).optional(),
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(4096).optional(),
+  ...scanContextFields
+}).xor('payload', 'url').and('lat', 'lng');
+
+export const createRevocationSchema = Joi.object({
+  // neither = whole product; batch = one batch; nonce = one printed code
+  batch: code.optional(),
+  nonce: Joi.string().trim().max(64).optional(),
+  kind: Joi.string().uppercase().valid('RECALL', 'REVOCATION').required(),
+  reason: Joi.string().trim().min(3).max(1000).required(),
+  // shown to consumers by scanning apps
+  notice: Joi.string().trim().max(2000).when('kind', { is: 'RECALL', then: Joi.required() }),
+  effective_at: Joi.date().iso().optional()
+});
+
+export const listRevocationsSchema = Joi.object({
+  include_lifted: Joi.boolean().default(false)
+});
@@ -0,0 +1,18 @@
+// src/validation/reviewSchema.js
+import Joi from 'joi';
+
+export const listReviewQueueSchema = Joi.object({
+  doc_type: Joi.string().uppercase().optional(),
+  unclaimed_only: Joi.boolean().default(false),
+  cursor: Joi.string().base64({ urlSafe: true, paddingRequired: false }).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// claim/release take no body: the reviewer is the authenticated client
+export const reviewActionSchema = Joi.object({});
+
+export const reviewDecisionSchema = Joi.object({
+  decision: Joi.string().uppercase().valid('APPROVE', 'REJECT').required(),
+  // mandatory so every override of the automated score is explained in the audit trail
+  reason: Joi.string().trim().min(3).max(1000).required()
+});
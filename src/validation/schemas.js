@@ -1,5 +1,6 @@
 // src/validation/schemas.js
 import Joi from 'joi';
+import { PAN_HOLDER_TYPES } from '../utils/idValidators.js';
 
 export const verifyPanSchema = Joi.object({
   request_id: Joi.string().required(),
@@ -10,6 +11,8 @@ export const verifyPanSchema = Joi.object({
     id_hash: Joi.string().hex().length(64).optional(),
     name: Joi.string().optional(),
     dob: Joi.date().iso().optional(),
+    // expected holder category, cross-checked against the PAN's 4th character
+    holder_type: Joi.string().valid('INDIVIDUAL', 'NON_INDIVIDUAL', ...Object.values(PAN_HOLDER_TYPES)).optional(),
     ocr_confidence: Joi.number().min(0).max(1).optional()
   }).required(),
   metadata: Joi.object().optional()
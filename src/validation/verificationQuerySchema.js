@@ -0,0 +1,14 @@
+// src/validation/verificationQuerySchema.js
+import Joi from 'joi';
+
+const statuses = ['VERIFIED', 'MANUAL_REVIEW', 'REJECTED', 'NOT_FOUND'];
+
+export const listVerificationsSchema = Joi.object({
+  request_id: Joi.string().optional(),
+  doc_type: Joi.string().uppercase().optional(),
+  status: Joi.string().uppercase().valid(...statuses).optional(),
+  from: Joi.date().iso().optional(),                   // created_at >= from
+  to: Joi.date().iso().min(Joi.ref('from')).optional(), // created_at <= to
+  cursor: Joi.string().base64({ urlSafe: true, paddingRequired: false }).optional(), // next_cursor from the previous page
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
@@ -0,0 +1,21 @@
+// src/validation/verifyAadhaarOfflineSchema.js
+import Joi from 'joi';
+
+export const verifyAadhaarOfflineSchema = Joi.object({
+  request_id: Joi.string().required(),
+  submitted_by: Joi.string().optional(),
+  doc_type: Joi.string().valid('AADHAAR').required(),
+  extracted: Joi.object({
+    // decimal string read from the Secure QR code on the e-Aadhaar / PVC card
+    secure_qr: Joi.string().pattern(/^[0-9]+$/).max(20000).optional(),
+    // Offline Paperless e-KYC XML (already unzipped with the share code)
+    ekyc_xml: Joi.string().max(200000).optional(),
+    share_code: Joi.string().pattern(/^[0-9]{4}$/).optional(),
+    // optional claimed demographics to compare against the signed data
+    name: Joi.string().optional(),
+    dob: Joi.date().iso().optional(),
+    mobile: Joi.string().pattern(/^[0-9]{10}$/).optional(),
+    email: Joi.string().email().optional()
+  }).xor('secure_qr', 'ekyc_xml').required(),
+  metadata: Joi.object().optional()
+});
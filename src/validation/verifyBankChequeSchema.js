@@ -8,6 +8,7 @@ export const verifyBankChequeSchema = Joi.object({
   extracted: Joi.object({
     account_holder_name: Joi.string().required(),
     account_no_masked: Joi.string().optional(), // e.g., "XXXXXX1234"
+    account_no: Joi.string().pattern(/^[0-9]{6,18}$/).optional(), // full number, only for penny-drop validation if policy allows
     id_hash: Joi.string().hex().length(64).optional(), // optional sha256(account_no or document)
     ifsc: Joi.string().pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/).optional(),
     bank_name: Joi.string().optional(),
@@ -15,6 +16,7 @@ export const verifyBankChequeSchema = Joi.object({
     account_type: Joi.string().valid('savings','current','other').optional(),
     cheque_number: Joi.string().optional(),
     cheque_date: Joi.date().iso().optional(),
+    micr_line: Joi.string().max(80).optional(), // MICR band as read, e.g. "⑈004512⑈ 110002001⑆ 123456⑈ 31"
     document_hash: Joi.string().hex().length(64).optional(), // sha256(file bytes)
     ocr_confidence: Joi.number().min(0).max(1).optional()
   }).required(),
@@ -17,7 +17,8 @@ export const verifyClinicSchema = Joi.object({
 
     // Entity KYC (optional)
     incorporation_no: Joi.string().optional(),
-    pan_of_entity_masked: Joi.string().optional(),
+    entity_name: Joi.string().optional(),
+    pan_of_entity_masked: Joi.string().optional(), // must be a non-individual PAN, e.g. "AAACX****K"
     gst_no: Joi.string().optional(),
 
     // Premises KYC
@@ -16,6 +16,8 @@ export const verifyPassportSchema = Joi.object({
     issue_date: Joi.date().iso().optional(),
     expiry_date: Joi.date().iso().optional(),
     place_of_issue: Joi.string().optional(),
+    // the two 44-char TD3 machine readable zone lines, as read
+    mrz: Joi.array().items(Joi.string().max(60)).length(2).optional(),
     ocr_confidence: Joi.number().min(0).max(1).optional()
   }).required(),
   metadata: Joi.object().optional()
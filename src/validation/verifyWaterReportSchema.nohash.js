@@ -11,9 +11,11 @@ export const verifyWaterReportSchema = Joi.object({
     lab_registration_no: Joi.string().optional(),  // e.g., NABL reg no or lab licence no
     sample_date: Joi.date().iso().required(),
     sample_collected_from: Joi.string().optional(),// address / location
+    // selects the built-in default limits; expected_limits can only tighten them
+    intended_use: Joi.string().valid("DRINKING", "PROCESS_MANUFACTURING").default("DRINKING"),
     // key parameters: object with parameter -> value (number or string). Example: { "pH": 6.8, "turbidity_NTU": 2.5, "arsenic_ppb": 5 }
     parameters: Joi.object().pattern(Joi.string(), [Joi.number(), Joi.string()]).required(),
-    // optional expected limits to check compliance, same shape as parameters: { "pH": { min:6.5, max:8.5}, "arsenic_ppb": { max:10 } }
+    // optional stricter limits (looser bounds than the default are ignored), same shape as parameters: { "pH": { min:6.5, max:8.5}, "arsenic_ppb": { max:10 } }
     expected_limits: Joi.object().pattern(Joi.string(), Joi.object({
       min: Joi.number().optional(),
       max: Joi.number().optional()